@@ -11,6 +11,8 @@ import {
 import Layout from './components/Layout'
 import DocumentTranslationPage from './components/DocumentTranslation'
 import AccountSettings from './components/AccountSettingsPage'
+import HistoryPage from './components/HistoryPage'
+import DocumentsPage from './components/DocumentsPage'
 
 function App() {
   return (
@@ -35,6 +37,18 @@ function App() {
               </>
             } />
             
+            {/* Translation Job Route */}
+            <Route path="/translations/:processId" element={
+              <>
+                <SignedIn>
+                  <DocumentTranslationPage />
+                </SignedIn>
+                <SignedOut>
+                  <RedirectToSignIn />
+                </SignedOut>
+              </>
+            } />
+            
             {/* Account Settings Route */}
             <Route path="/settings" element={
               <>
@@ -47,6 +61,30 @@ function App() {
               </>
             } />
             
+            {/* Document Library Route */}
+            <Route path="/documents" element={
+              <>
+                <SignedIn>
+                  <DocumentsPage />
+                </SignedIn>
+                <SignedOut>
+                  <RedirectToSignIn />
+                </SignedOut>
+              </>
+            } />
+            
+            {/* Translation History Route */}
+            <Route path="/history" element={
+              <>
+                <SignedIn>
+                  <HistoryPage />
+                </SignedIn>
+                <SignedOut>
+                  <RedirectToSignIn />
+                </SignedOut>
+              </>
+            } />
+            
             <Route path="/sign-in/*" element={
               <SignedOut>
                 <div className="flex items-center justify-center min-h-[calc(100vh-8rem)] bg-gray-50">
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { UserProfile, useUser } from '@clerk/clerk-react';
 import TokenDebugInfo from './TokenDebug';
+import ExportNamingSettings from './ExportNamingSettings';
 
 export default function AccountSettingsPage() {
   const { user, isLoaded } = useUser();
@@ -39,6 +40,9 @@ export default function AccountSettingsPage() {
         {/* Token Debug Info */}
         {showTokenDebug && <TokenDebugInfo />}
 
+        {/* Export file naming */}
+        <ExportNamingSettings user={user} />
+
         {/* User Profile */}
         <div className="bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100">
           <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-4">
@@ -0,0 +1,37 @@
+import { Languages, AlertTriangle } from 'lucide-react';
+import { AUTO_DETECT, getLanguageLabel } from '../constants/languages';
+
+// Backends report confidence either as 0-1 or as a percentage
+const toPercent = (confidence) => {
+  if (confidence == null) return null;
+  return Math.round(confidence <= 1 ? confidence * 100 : confidence);
+};
+
+// Detected source language, with a warning when it contradicts the language the user picked
+export default function DetectedLanguageNotice({ pickedLanguage, detectedLanguage, confidence }) {
+  if (!detectedLanguage) return null;
+
+  const percent = toPercent(confidence);
+  const isMismatch = pickedLanguage && pickedLanguage !== AUTO_DETECT && pickedLanguage !== detectedLanguage;
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center text-sm text-gray-600">
+        <Languages className="h-4 w-4 mr-2 text-indigo-600" />
+        Detected language: <span className="ml-1 font-medium text-gray-800">{getLanguageLabel(detectedLanguage)}</span>
+        {percent != null && <span className="ml-1 text-gray-500">({percent}% confidence)</span>}
+      </div>
+
+      {isMismatch && (
+        <div className="mt-2 bg-amber-50 p-3 rounded-lg border border-amber-200 flex items-start">
+          <AlertTriangle className="h-5 w-5 text-amber-500 mr-2 shrink-0" />
+          <p className="text-sm text-amber-700">
+            You selected {getLanguageLabel(pickedLanguage)} as the source language, but this document
+            appears to be in {getLanguageLabel(detectedLanguage)}. If the translation looks wrong,
+            translate it again with Auto-detect or {getLanguageLabel(detectedLanguage)} as the source.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,24 @@
 import { useState, useEffect } from 'react';
-import { Download, FileText, File, ChevronDown, Loader2, Cloud, Folder, ChevronRight, Plus, ArrowLeft } from 'lucide-react';
+import { Download, FileText, File, FileCode, FileType, Columns, ChevronDown, Loader2, Cloud, Folder, ChevronRight, Plus, ArrowLeft } from 'lucide-react';
+import { useUser } from '@clerk/clerk-react';
 import { documentService, useApiAuth } from '../services/api';
 import googleDriveService from '../services/googleDriveService';
+import { downloadBlob } from '../utils/fileDownload';
+import { formatFileSize } from '../utils/formatters';
+import { buildExportFileName, getBaseName, getFileNameTemplate, sanitizeFileName } from '../utils/fileNames';
+import { isClientExportFormat, createClientExport, buildBilingualHtml } from '../utils/exportFormats';
+import { AUTO_DETECT, getLanguageDirection, getLanguageLabel } from '../constants/languages';
 import { toast } from 'sonner';
 
+// Small exports finish before a progress figure would be readable
+const PROGRESS_LABEL_THRESHOLD = 1024 * 1024; // 1MB
+
+// " 45%" for large downloads of known size, " 3.20 MB" when the size is unknown
+const getProgressLabel = (progress) => {
+  if (!progress || progress.loaded < PROGRESS_LABEL_THRESHOLD) return '';
+  return progress.percent !== null ? ` ${progress.percent}%` : ` ${formatFileSize(progress.loaded)}`;
+};
+
 // Folder Selector Component
 function FolderSelector({ onSelect, onCancel, googleDriveService }) {
   const [folders, setFolders] = useState([]);
@@ -216,10 +231,23 @@ function FolderSelector({ onSelect, onCancel, googleDriveService }) {
   );
 }
 
+// Formats converted in the browser, listed under the server-rendered PDF and DOCX
+const CLIENT_FORMAT_OPTIONS = [
+  { type: 'md', label: 'Markdown', description: 'For wikis', icon: FileCode, color: 'text-gray-700', background: 'bg-gray-100' },
+  { type: 'html', label: 'HTML', description: 'Clean markup for CMS import', icon: FileCode, color: 'text-orange-600', background: 'bg-orange-100' },
+  { type: 'txt', label: 'Plain text', description: 'Text only', icon: FileType, color: 'text-gray-600', background: 'bg-gray-100' },
+  { type: 'odt', label: 'ODT', description: 'For LibreOffice', icon: File, color: 'text-sky-600', background: 'bg-sky-100' }
+];
+
 // Main Download Button Component
+// processId and sourceLanguage enable the bilingual (source | translation) exports;
+// originalFileName and sourceLanguage fill the user's file naming template.
 export default function DocumentDownloadButton({ 
   text, 
   language, 
+  processId,
+  sourceLanguage,
+  originalFileName,
   onError, 
   onSuccess, 
   disabled,
@@ -227,13 +255,16 @@ export default function DocumentDownloadButton({
 }) {
   const [isExporting, setIsExporting] = useState(false);
   const [exportType, setExportType] = useState(null);
+  const [downloadProgress, setDownloadProgress] = useState(null);
   const [showDropdown, setShowDropdown] = useState(false);
+  const [fileBaseName, setFileBaseName] = useState('');
   const [isGoogleDriveAuthenticated, setIsGoogleDriveAuthenticated] = useState(false);
   const [isCheckingAuthStatus, setIsCheckingAuthStatus] = useState(false);
   const [showFolderSelector, setShowFolderSelector] = useState(false);
   const [selectedFolder, setSelectedFolder] = useState(null);
   const [exportingType, setExportingType] = useState(null);
   const { registerAuthInterceptor } = useApiAuth();
+  const { user } = useUser();
 
   // Register auth interceptor and check auth status on mount
   useEffect(() => {
@@ -253,6 +284,25 @@ export default function DocumentDownloadButton({
     };
   }, [showDropdown]);
 
+  // The editable name starts from the naming template each time the menu opens
+  const toggleDropdown = () => {
+    if (!showDropdown) {
+      const defaultName = buildExportFileName(getFileNameTemplate(user), {
+        originalName: originalFileName,
+        from: sourceLanguage !== AUTO_DETECT ? sourceLanguage : null,
+        to: language,
+        ext: 'pdf'
+      });
+      setFileBaseName(getBaseName(defaultName));
+    }
+    setShowDropdown(!showDropdown);
+  };
+
+  // Edited name with the chosen format's extension, safe for Windows and macOS
+  const getExportFileName = (type, suffix = '') => {
+    return sanitizeFileName(`${fileBaseName.trim() || 'translated_document'}${suffix}.${type}`);
+  };
+
   const checkGoogleDriveAuthStatus = async () => {
     setIsCheckingAuthStatus(true);
     try {
@@ -272,23 +322,27 @@ export default function DocumentDownloadButton({
     setExportType(type);
     
     try {
-      const fileName = `translated_document_${new Date().getTime()}.${type}`;
+      const fileName = getExportFileName(type);
       
-      let result;
-      if (type === 'pdf') {
-        result = await documentService.exportToPdf(text, fileName);
-      } else if (type === 'docx') {
-        result = await documentService.exportToDocx(text, fileName);
+      if (isClientExportFormat(type)) {
+        const blob = await createClientExport(type, text, {
+          title: fileName.replace(/\.[^.]+$/, ''),
+          language,
+          direction: getLanguageDirection(language)
+        });
+        downloadBlob(blob, fileName);
+      } else {
+        let blob;
+        if (type === 'pdf') {
+          blob = await documentService.exportToPdf(text, fileName, { onDownloadProgress: setDownloadProgress });
+        } else if (type === 'docx') {
+          blob = await documentService.exportToDocx(text, fileName, { onDownloadProgress: setDownloadProgress });
+        }
+        
+        // Download the file through an object URL
+        downloadBlob(blob, fileName);
       }
       
-      // Create and download the file
-      const linkSource = `data:application/${type === 'pdf' ? 'pdf' : 'vnd.openxmlformats-officedocument.wordprocessingml.document'};base64,${result[type === 'pdf' ? 'pdfData' : 'docxData']}`;
-      const downloadLink = document.createElement('a');
-      
-      downloadLink.href = linkSource;
-      downloadLink.download = fileName;
-      downloadLink.click();
-      
       toast.success(`Document exported as ${type.toUpperCase()} successfully`);
       onSuccess?.();
     } catch (error) {
@@ -298,6 +352,47 @@ export default function DocumentDownloadButton({
     } finally {
       setIsExporting(false);
       setExportType(null);
+      setDownloadProgress(null);
+      setShowDropdown(false);
+    }
+  };
+
+  // Source text and translation side by side, aligned by paragraph, rendered by the PDF/DOCX export
+  const handleBilingualExport = async (type) => {
+    if (disabled || isExporting || !processId) return;
+    
+    setIsExporting(true);
+    setExportType(`bilingual ${type}`);
+    
+    try {
+      const fileName = getExportFileName(type, '_bilingual');
+      const source = await documentService.getSourceText(processId);
+      const sourceLang = source.language || (sourceLanguage !== AUTO_DETECT ? sourceLanguage : null);
+      
+      const bilingualHtml = buildBilingualHtml(source.sourceText, text, {
+        sourceLabel: sourceLang ? getLanguageLabel(sourceLang) : 'Original',
+        targetLabel: language ? getLanguageLabel(language) : 'Translation',
+        sourceDirection: source.direction || getLanguageDirection(sourceLang),
+        targetDirection: getLanguageDirection(language)
+      });
+      
+      const exportOptions = { onDownloadProgress: setDownloadProgress };
+      const blob = type === 'pdf'
+        ? await documentService.exportToPdf(bilingualHtml, fileName, exportOptions)
+        : await documentService.exportToDocx(bilingualHtml, fileName, exportOptions);
+      downloadBlob(blob, fileName);
+      
+      toast.success(`Bilingual ${type.toUpperCase()} exported successfully`);
+      onSuccess?.();
+    } catch (error) {
+      const message = typeof error === 'string' ? error : `Failed to export bilingual ${type.toUpperCase()}`;
+      console.error(`Bilingual export to ${type} failed:`, error);
+      toast.error(message);
+      onError?.(message);
+    } finally {
+      setIsExporting(false);
+      setExportType(null);
+      setDownloadProgress(null);
       setShowDropdown(false);
     }
   };
@@ -350,7 +445,7 @@ export default function DocumentDownloadButton({
         setIsGoogleDriveAuthenticated(true);
       }
       
-      const fileName = `translated_document_${new Date().getTime()}.${type}`;
+      const fileName = getExportFileName(type);
       
       // Include folder information if provided
       const options = folder ? { folderId: folder.id } : {};
@@ -437,6 +532,7 @@ export default function DocumentDownloadButton({
     } finally {
       setIsExporting(false);
       setExportType(null);
+      setDownloadProgress(null);
       setShowDropdown(false);
       setShowFolderSelector(false);
     }
@@ -447,7 +543,7 @@ export default function DocumentDownloadButton({
       <button
         type="button"
         className="button-primary flex items-center gap-2"
-        onClick={() => setShowDropdown(!showDropdown)}
+        onClick={toggleDropdown}
         disabled={disabled || isExporting}
       >
         {isExporting ? (
@@ -455,7 +551,7 @@ export default function DocumentDownloadButton({
             <Loader2 size={16} className="animate-spin" />
             {exportType?.startsWith('drive') 
               ? `Saving to Drive...` 
-              : `Exporting ${exportType?.toUpperCase()}...`}
+              : `Exporting ${exportType?.toUpperCase()}...${getProgressLabel(downloadProgress)}`}
           </>
         ) : (
           <>
@@ -469,6 +565,15 @@ export default function DocumentDownloadButton({
         <div className="absolute right-0 mt-2 w-64 bg-white rounded-lg shadow-lg z-10 border border-gray-100 overflow-hidden">
           <div className="p-3 border-b border-gray-100">
             <h3 className="text-sm font-medium text-gray-700">Download Options</h3>
+            <label htmlFor="export-file-name" className="block mt-2 text-xs text-gray-500">File name</label>
+            <input
+              id="export-file-name"
+              type="text"
+              value={fileBaseName}
+              onChange={(e) => setFileBaseName(e.target.value)}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              spellCheck={false}
+            />
           </div>
           
           <div className="p-1">
@@ -492,6 +597,40 @@ export default function DocumentDownloadButton({
               Download as DOCX
             </button>
             
+            {processId && (
+              <>
+                <div className="px-3 pt-2 pb-1 text-xs font-medium text-gray-500">Bilingual (original | translation)</div>
+                {['docx', 'pdf'].map(type => (
+                  <button
+                    key={type}
+                    className="flex items-center w-full px-3 py-2 text-sm text-left text-gray-700 hover:bg-indigo-50 hover:text-indigo-700 rounded-md"
+                    onClick={() => handleBilingualExport(type)}
+                  >
+                    <div className="bg-indigo-100 rounded-md p-1 mr-2.5">
+                      <Columns size={14} className="text-indigo-600" />
+                    </div>
+                    Bilingual {type.toUpperCase()}
+                  </button>
+                ))}
+              </>
+            )}
+            
+            {/* Converted in the browser, so these work even when the export service is down */}
+            <div className="px-3 pt-2 pb-1 text-xs font-medium text-gray-500">More formats</div>
+            {CLIENT_FORMAT_OPTIONS.map(({ type, label, description, icon: Icon, color, background }) => (
+              <button
+                key={type}
+                className="flex items-center w-full px-3 py-2 text-sm text-left text-gray-700 hover:bg-indigo-50 hover:text-indigo-700 rounded-md"
+                onClick={() => handleExport(type)}
+              >
+                <div className={`${background} rounded-md p-1 mr-2.5`}>
+                  <Icon size={14} className={color} />
+                </div>
+                <span className="flex-1">{label}</span>
+                <span className="text-xs text-gray-400">{description}</span>
+              </button>
+            ))}
+            
             {/* Divider */}
             <div className="my-1 border-t border-gray-100"></div>
             
@@ -1,23 +1,41 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Copy, Check, FileText, Download, Languages, Loader2, X, RefreshCw } from 'lucide-react';
+import { Copy, Check, FileText, Download, Languages, Loader2, X, RefreshCw, Columns } from 'lucide-react';
 import { useUser } from '@clerk/clerk-react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { toast } from 'sonner';
 import { useApiAuth } from '../services/api';
-import { documentService } from '../services/api';
+import { documentService, balanceService, useSupportedLanguages } from '../services/api';
 import DocumentsUpload from '../components/DocumentsUpload';
 import DocumentDownloadButton from '../components/DocumentDownloadButton';
 import BalanceDisplay from '../components/BalanceDisplay';
 import GoogleDriveButton from '../components/GoogleDriveButton';
+import SideBySideView from '../components/SideBySideView';
+import TranslationEditor from '../components/TranslationEditor';
+import DetectedLanguageNotice from '../components/DetectedLanguageNotice';
+import { getLanguageDirection, getLanguageLabel } from '../constants/languages';
+import { formatFileSize } from '../utils/formatters';
+import { hashFile } from '../utils/fileHash';
+import { createUuid } from '../utils/uuid';
+
+const UPLOAD_TIMEOUT_ERROR = 'The server timed out while processing the request. Your document might still be processing in the background.';
 
 export default function DocumentTranslationPage() {
   const { user, isLoaded } = useUser();
   const { registerAuthInterceptor, refreshToken } = useApiAuth(); // Updated to include refreshToken
+  const { processId: routeProcessId } = useParams();
+  const navigate = useNavigate();
   const contentRef = useRef(null);
   const statusCheckTimeoutRef = useRef(null);
   const pollAttemptRef = useRef(0);
   const lastStatusRef = useRef(null);
   const statusUpdateIntervalRef = useRef(null);
   const forcedProgressRef = useRef(null);
+  const closeStatusStreamRef = useRef(null);
+  const statusUpdateHandlerRef = useRef(null);
+  const pollTranslationStatusRef = useRef(null);
+  // Latest job loaders, so the route effect only re-runs when the URL changes
+  const loadTranslationJobRef = useRef(null);
+  const resetTranslationStateRef = useRef(null);
   const [processStartTime, setProcessStartTime] = useState(null);
   
   const getProcessRuntime = useCallback(() => {
@@ -25,6 +43,9 @@ export default function DocumentTranslationPage() {
     return Math.floor((Date.now() - processStartTime) / 1000);
   }, [processStartTime]);
 
+  // True while progress arrives over the push channel rather than polling
+  const [isLiveUpdates, setIsLiveUpdates] = useState(false);
+
   // Keep track of status check issues
   const [consecFailures, setConsecFailures] = useState(0);
   const [lastFallbackStatus, setLastFallbackStatus] = useState(false);
@@ -55,6 +76,33 @@ export default function DocumentTranslationPage() {
     lastStatusUpdate: null
   });
 
+  // Latest process ID, readable from effects that only react to URL changes
+  const processIdRef = useRef(null);
+  // Pending auth setup, awaited by requests made from effects on mount
+  const authRegistrationRef = useRef(null);
+  // Signed-in user whose unfinished jobs have already been looked up
+  const checkedUnfinishedUserRef = useRef(null);
+  processIdRef.current = translationStatus.processId;
+
+  // Jobs picked up again after a reload: { current, others }
+  const [resumedJobs, setResumedJobs] = useState(null);
+
+  const [isCancelling, setIsCancelling] = useState(false);
+  
+  // Upload of the file being translated: { loaded, total, percent, bytesPerSecond, isResumed }
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const uploadAbortRef = useRef(null);
+  const { languages, isPairSupported } = useSupportedLanguages();
+  
+  // Uploaded file kept for the side-by-side comparison; deep-linked jobs fetch it on demand
+  const [sourceFile, setSourceFile] = useState(null);
+  const [isCompareView, setIsCompareView] = useState(false);
+  
+  // Reviewer edits to the translation; null while it matches the machine output
+  const [editedText, setEditedText] = useState(null);
+  // Undo history lives here so toggling the comparison view does not reset it
+  const editorHistoryRef = useRef({ entries: [], index: -1, originalHtml: null });
+  const exportText = editedText || translationStatus.translatedText;
   const [isCopied, setIsCopied] = useState(false);
   const [selectedLanguage, setSelectedLanguage] = useState('en');
 
@@ -71,7 +119,7 @@ export default function DocumentTranslationPage() {
 
   // Register auth interceptor on mount
   useEffect(() => {
-    registerAuthInterceptor();
+    authRegistrationRef.current = registerAuthInterceptor();
   }, [registerAuthInterceptor]);
 
   // Cleanup polling on unmount
@@ -106,8 +154,10 @@ export default function DocumentTranslationPage() {
         const secondsElapsed = Math.floor((Date.now() - translationStatus.lastStatusUpdate) / 1000);
         setTimeCounter(secondsElapsed);
         
-        // If we've gone too long without a status update, flag it as stalled
-        if (secondsElapsed > 30) {
+        // If we've gone too long without a status update, flag it as stalled.
+        // A live stream only sends events when something changes, so silence there is normal,
+        // and nothing is reported before the upload has finished.
+        if (secondsElapsed > 30 && !isLiveUpdates && !uploadAbortRef.current) {
           setStatusCheckStalled(true);
           
           // Start simulated progress if actual progress is stuck at 0
@@ -137,7 +187,7 @@ export default function DocumentTranslationPage() {
         clearInterval(statusUpdateIntervalRef.current);
       }
     };
-  }, [translationStatus.isLoading, translationStatus.lastStatusUpdate, translationStatus.progress]);
+  }, [translationStatus.isLoading, translationStatus.lastStatusUpdate, translationStatus.progress, isLiveUpdates]);
 
   // Function to simulate progress when status check is stalled
   const startSimulatedProgress = useCallback(() => {
@@ -231,6 +281,48 @@ export default function DocumentTranslationPage() {
     return finalInterval;
   }, [translationStatus, consecFailures, statusCheckStalled]);
 
+  // Apply a status report from polling or the push channel. Returns true once the job has finished.
+  const applyStatusUpdate = (processId, statusData) => {
+    setTranslationStatus(prev => ({
+      ...prev,
+      progress: statusData.progress,
+      status: statusData.status,
+      currentPage: statusData.currentPage,
+      totalPages: statusData.totalPages,
+      estimatedTimeRemaining: statusData.estimatedTimeRemaining,
+      detectedLanguage: statusData.detectedLanguage || prev.detectedLanguage,
+      detectionConfidence: statusData.detectionConfidence ?? prev.detectionConfidence,
+      lastStatusUpdate: Date.now()
+    }));
+    
+    // Check if translation completed or failed
+    if (statusData.status === 'completed') {
+      console.log('✅ Translation completed, fetching results');
+      fetchTranslationResults(processId);
+      return true;
+    } else if (statusData.status === 'failed') {
+      console.error('❌ Translation failed according to status');
+      setTranslationStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        error: 'Translation failed. Please try again.',
+        status: 'failed'
+      }));
+      return true;
+    }
+    return false;
+  };
+  statusUpdateHandlerRef.current = applyStatusUpdate;
+
+  // Close the push channel, if one is open
+  const closeStatusStream = () => {
+    if (closeStatusStreamRef.current) {
+      closeStatusStreamRef.current();
+      closeStatusStreamRef.current = null;
+    }
+    setIsLiveUpdates(false);
+  };
+
   // Polling function with better error handling and support for stalled status
   const pollTranslationStatus = useCallback(async () => {
     const { processId, isLoading } = translationStatus;
@@ -250,29 +342,8 @@ export default function DocumentTranslationPage() {
       // Reset consecutive failures on success
       setConsecFailures(0);
       
-      // Update status in state
-      setTranslationStatus(prev => ({
-        ...prev,
-        progress: statusData.progress,
-        status: statusData.status,
-        currentPage: statusData.currentPage,
-        totalPages: statusData.totalPages,
-        lastStatusUpdate: Date.now()
-      }));
-      
-      // Check if translation completed or failed
-      if (statusData.status === 'completed') {
-        console.log('✅ Translation completed, fetching results');
-        fetchTranslationResults(processId);
-      } else if (statusData.status === 'failed') {
-        console.error('❌ Translation failed according to status');
-        setTranslationStatus(prev => ({
-          ...prev,
-          isLoading: false,
-          error: 'Translation failed. Please try again.',
-          status: 'failed'
-        }));
-      } else {
+      const isFinished = statusUpdateHandlerRef.current(processId, statusData);
+      if (!isFinished) {
         // Continue polling if still in progress
         const pollInterval = getPollInterval();
         statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, pollInterval);
@@ -307,19 +378,37 @@ export default function DocumentTranslationPage() {
       statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, backoffTime);
     }
   }, [translationStatus, consecFailures, getPollInterval]);
+  pollTranslationStatusRef.current = pollTranslationStatus;
   
 
   useEffect(() => {
     if (translationStatus.processId && translationStatus.isLoading) {
-      console.log("Starting polling for process ID:", translationStatus.processId);
+      const processId = translationStatus.processId;
+      console.log("Subscribing to progress updates for process ID:", processId);
       
       // Reset polling attempt counter
       pollAttemptRef.current = 0;
       
-      // Start polling immediately
-      pollTranslationStatus();
+      // Prefer the push channel; polling only takes over if the stream fails
+      setIsLiveUpdates(true);
+      closeStatusStreamRef.current = documentService.subscribeToTranslation(processId, {
+        onUpdate: (statusData) => {
+          setConsecFailures(0);
+          statusUpdateHandlerRef.current(processId, statusData);
+        },
+        onFallback: () => {
+          console.log("Starting polling for process ID:", processId);
+          closeStatusStreamRef.current = null;
+          setIsLiveUpdates(false);
+          pollTranslationStatusRef.current();
+        }
+      });
       
       return () => {
+        if (closeStatusStreamRef.current) {
+          closeStatusStreamRef.current();
+          closeStatusStreamRef.current = null;
+        }
         if (statusCheckTimeoutRef.current) {
           clearTimeout(statusCheckTimeoutRef.current);
         }
@@ -329,6 +418,66 @@ export default function DocumentTranslationPage() {
     }
   }, [translationStatus.processId, translationStatus.isLoading]);
   
+  // After a reload or reopened tab, offer to pick up translations that were still running
+  useEffect(() => {
+    const userId = user?.id;
+    if (!userId || checkedUnfinishedUserRef.current === userId) return;
+    checkedUnfinishedUserRef.current = userId;
+    
+    let cancelled = false;
+    let checked = false;
+    const checkUnfinishedJobs = async () => {
+      await authRegistrationRef.current;
+      const unfinished = await documentService.findUnfinishedTranslations();
+      if (cancelled) return;
+      checked = true;
+      if (unfinished.length === 0) return;
+      
+      // A job opened by URL is already being followed; otherwise offer the newest one
+      const current = unfinished.find(job => job.processId === routeProcessId) || unfinished[0];
+      const others = unfinished.filter(job => job.processId !== current.processId);
+      
+      if (routeProcessId || processIdRef.current) {
+        setResumedJobs({ current, others });
+        return;
+      }
+      
+      toast.info(`Pick up your translation of ${current.fileName || 'your document'} where you left off?`, {
+        duration: 10000,
+        action: {
+          label: 'Resume',
+          onClick: () => {
+            setResumedJobs({ current, others });
+            navigate(`/translations/${current.processId}`);
+          }
+        }
+      });
+    };
+    
+    checkUnfinishedJobs();
+    
+    return () => {
+      // An interrupted check runs again for the new route instead of acting on a stale result
+      cancelled = true;
+      if (!checked) checkedUnfinishedUserRef.current = null;
+    };
+  }, [user?.id, routeProcessId, navigate]);
+
+  // A new or refreshed result replaces the document being edited
+  useEffect(() => {
+    setEditedText(null);
+  }, [translationStatus.translatedText]);
+
+  // Rebuild the job view from the URL so reloads, shared links and the back button work
+  useEffect(() => {
+    if (routeProcessId && routeProcessId !== processIdRef.current) {
+      loadTranslationJobRef.current(routeProcessId);
+    } else if (!routeProcessId && processIdRef.current) {
+      // Navigated back to the upload page - stop following the job, it keeps running on the server
+      resetTranslationStateRef.current();
+    }
+  }, [routeProcessId]);
+
   // Effect to detect completely stuck translations
   useEffect(() => {
     if (!translationStatus.isLoading || !translationStatus.lastStatusUpdate) {
@@ -344,8 +493,12 @@ export default function DocumentTranslationPage() {
       if (timeSinceLastUpdate > 3 * 60 * 1000) {
         console.warn(`⚠️ Translation might be completely stuck - no updates for ${Math.floor(timeSinceLastUpdate/1000)}s`);
         
-        // If polling is also stuck, restart it
-        if (statusCheckTimeoutRef.current) {
+        // A silent stream may have died without an error event - switch to polling
+        if (closeStatusStreamRef.current) {
+          closeStatusStream();
+          statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, 1000);
+        } else if (statusCheckTimeoutRef.current) {
+          // If polling is also stuck, restart it
           clearTimeout(statusCheckTimeoutRef.current);
           statusCheckTimeoutRef.current = setTimeout(pollTranslationStatus, 1000);
         }
@@ -362,7 +515,8 @@ export default function DocumentTranslationPage() {
   }, [translationStatus.isLoading, translationStatus.lastStatusUpdate, pollTranslationStatus]);
 
 // Improved onTranslate function with better timeout handling
-  const onTranslate = async (file, fromLang, toLang) => {
+  // Retrying a timed-out upload passes the key of the first attempt, so the server never starts it twice
+  const onTranslate = async (file, fromLang, toLang, { pageCount = null, idempotencyKey = createUuid() } = {}) => {
     if (!file) {
       toast.error('Please upload a file before translating.');
       return;
@@ -373,6 +527,11 @@ export default function DocumentTranslationPage() {
       return;
     }
 
+    if (!isPairSupported(fromLang, toLang)) {
+      toast.error(`Translating from ${getLanguageLabel(fromLang)} to ${getLanguageLabel(toLang)} is not supported.`);
+      return;
+    }
+
     if (translationStatus.isLoading) {
       toast.error('A translation is already in progress.');
       return;
@@ -382,13 +541,18 @@ export default function DocumentTranslationPage() {
     await ensureValidToken();
 
     setSelectedLanguage(toLang);
+    setSourceFile(file);
+    setIsCompareView(false);
     
     // Store file info for potential recovery
     const fileInfo = {
       name: file.name,
       size: file.size,
       type: file.type,
-      uploadTime: Date.now()
+      uploadTime: Date.now(),
+      toLang,
+      pageCount,
+      idempotencyKey
     };
     
     // Reset status tracking
@@ -399,7 +563,8 @@ export default function DocumentTranslationPage() {
       active: false,
       value: 0,
       page: 0,
-      total: file.type.includes('pdf') ? Math.max(1, Math.floor(file.size / (100 * 1024))) : 1
+      // Counted before upload; the size-based guess only covers PDFs that couldn't be read
+      total: pageCount || (file.type.includes('pdf') ? Math.max(1, Math.floor(file.size / (100 * 1024))) : 1)
     });
     
     // Set process start time for runtime tracking
@@ -413,14 +578,20 @@ export default function DocumentTranslationPage() {
       error: null,
       translatedText: null,
       fileName: file.name,
-      direction: toLang === 'fa' || toLang === 'ar' ? 'rtl' : 'ltr',
+      direction: getLanguageDirection(toLang),
       processId: null,
       currentPage: 0,
       totalPages: 0,
       lastStatusUpdate: Date.now(),
-      fileInfo: fileInfo
+      fileInfo: fileInfo,
+      fromLang: fromLang,
+      detectedLanguage: null,
+      detectionConfidence: null
     });
 
+    setUploadProgress(null);
+    const uploadController = new AbortController();
+
     try {
       // Prepare form data for upload
       const formData = new FormData();
@@ -438,7 +609,12 @@ export default function DocumentTranslationPage() {
       }
 
       // Initiate translation process
-      const response = await documentService.initiateTranslation(formData);
+      uploadAbortRef.current = uploadController;
+      const response = await documentService.initiateTranslation(formData, {
+        idempotencyKey,
+        signal: uploadController.signal,
+        onUploadProgress: setUploadProgress
+      });
       
       // Check if response indicates it was recovered after timeout
       if (response.recoveredAfterTimeout) {
@@ -459,9 +635,15 @@ export default function DocumentTranslationPage() {
         lastStatusUpdate: Date.now()
       }));
       
+      // Give the job its own URL so it can be reloaded or shared
+      navigate(`/translations/${response.processId}`);
+      
       // Polling will start automatically via the useEffect
       
     } catch (error) {
+      // Cancelled from the progress bar; handleCancel has already updated the state
+      if (uploadController.signal.aborted) return;
+
       console.error('Translation initiation error:', error);
       
       // Special handling for timeouts - might actually be processing in background
@@ -480,7 +662,7 @@ export default function DocumentTranslationPage() {
           ...prev,
           isLoading: false,
           status: 'timeout',
-          error: 'The server timed out while processing the request. Your document might still be processing in the background.',
+          error: UPLOAD_TIMEOUT_ERROR,
           canRetryCheck: true
         }));
         
@@ -499,7 +681,136 @@ export default function DocumentTranslationPage() {
         }));
         toast.error(error.message || 'Failed to start translation');
       }
+    } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
+    }
+  };
+
+  // Load a job opened by URL: check it still exists, then let polling take over
+  const loadTranslationJob = async (processId) => {
+    closeStatusStream();
+    if (statusCheckTimeoutRef.current) {
+      clearTimeout(statusCheckTimeoutRef.current);
+      statusCheckTimeoutRef.current = null;
+    }
+    
+    const savedTranslation = documentService.getRecentTranslations().find(t => t.processId === processId);
+    if (savedTranslation?.toLang) {
+      setSelectedLanguage(savedTranslation.toLang);
+    }
+    
+    setConsecFailures(0);
+    setStatusCheckStalled(false);
+    setSourceFile(null);
+    setIsCompareView(false);
+    setProcessStartTime(savedTranslation?.timestamp || Date.now());
+    setTranslationStatus({
+      isLoading: true,
+      progress: 0,
+      status: 'checking',
+      error: null,
+      translatedText: null,
+      fileName: savedTranslation?.fileName || null,
+      direction: getLanguageDirection(savedTranslation?.toLang),
+      processId: processId,
+      currentPage: 0,
+      totalPages: 0,
+      lastStatusUpdate: Date.now(),
+      fromLang: savedTranslation?.fromLang || null,
+      detectedLanguage: savedTranslation?.detectedLanguage || null,
+      detectionConfidence: null
+    });
+    
+    try {
+      const statusData = await documentService.checkTranslationStatus(processId);
+      
+      if (statusData.status === 'failed') {
+        setTranslationStatus(prev => ({
+          ...prev,
+          isLoading: false,
+          status: 'failed',
+          error: 'Translation failed. Please try again.'
+        }));
+        return;
+      }
+      
+      // Shared links are not in local history, so the target language comes from the job itself
+      const toLang = statusData.toLang || savedTranslation?.toLang;
+      if (toLang) {
+        setSelectedLanguage(toLang);
+      }
+      
+      // Completed jobs are picked up by the first poll, which fetches the result
+      setTranslationStatus(prev => ({
+        ...prev,
+        status: statusData.status,
+        direction: getLanguageDirection(toLang),
+        progress: statusData.progress || 0,
+        currentPage: statusData.currentPage || 0,
+        totalPages: statusData.totalPages || 0,
+        fileName: prev.fileName || statusData.fileName || null,
+        fromLang: prev.fromLang || statusData.fromLang || null,
+        detectedLanguage: statusData.detectedLanguage || prev.detectedLanguage,
+        detectionConfidence: statusData.detectionConfidence ?? prev.detectionConfidence,
+        lastStatusUpdate: Date.now()
+      }));
+    } catch (error) {
+      console.error('Failed to load translation job:', error);
+      setTranslationStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        status: 'failed',
+        error: error.response?.status === 404
+          ? 'Translation not found. The process may have expired.'
+          : 'Failed to load this translation. Please try again later.'
+      }));
+    }
+  };
+
+  // Return to the empty upload state
+  const resetTranslationState = () => {
+    closeStatusStream();
+    if (statusCheckTimeoutRef.current) {
+      clearTimeout(statusCheckTimeoutRef.current);
+      statusCheckTimeoutRef.current = null;
+    }
+    
+    if (forcedProgressRef.current) {
+      clearInterval(forcedProgressRef.current);
+      forcedProgressRef.current = null;
     }
+    
+    setConsecFailures(0);
+    setStatusCheckStalled(false);
+    setSourceFile(null);
+    setIsCompareView(false);
+    setProcessStartTime(null);
+    setTranslationStatus({
+      isLoading: false,
+      progress: 0,
+      status: null,
+      error: null,
+      translatedText: null,
+      fileName: null,
+      direction: 'ltr',
+      processId: null,
+      currentPage: 0,
+      totalPages: 0,
+      lastStatusUpdate: null
+    });
+  };
+  loadTranslationJobRef.current = loadTranslationJob;
+  resetTranslationStateRef.current = resetTranslationState;
+
+  // Job created by the timed-out upload, found by its idempotency key or the file's content hash
+  const findUploadedTranslation = async (fileInfo) => {
+    return documentService.recoverTranslation({
+      idempotencyKey: fileInfo.idempotencyKey,
+      fileHash: sourceFile ? await hashFile(sourceFile) : null,
+      toLang: fileInfo.toLang,
+      startedAt: fileInfo.uploadTime
+    });
   };
 
   // Improved recovery function that uses the backend API
@@ -524,8 +835,7 @@ export default function DocumentTranslationPage() {
     }));
     
     try {
-      // First, try to find by file name
-      const foundTranslation = await documentService.findTranslationByFile(fileInfo.name);
+      const foundTranslation = await findUploadedTranslation(fileInfo);
       
       if (foundTranslation) {
         console.log("Successfully found translation process:", foundTranslation);
@@ -541,96 +851,36 @@ export default function DocumentTranslationPage() {
           lastStatusUpdate: Date.now()
         }));
         
-        // Start polling immediately
-        pollTranslationStatus();
+        // The new processId starts the progress subscription
+        navigate(`/translations/${foundTranslation.processId}`, { replace: true });
         
         toast.success("Recovery successful! Translation found and status updated.");
         return;
       }
-      
-      // If we couldn't find by file name, try the active translations list
-      const activeTranslations = await documentService.listActiveTranslations();
-      
-      // Find a recent translation within the last few minutes
-      const recentTime = fileInfo.uploadTime - (10 * 60 * 1000); // 10 minutes ago
-      const matchingTranslation = activeTranslations.find(t => {
-        const createdTime = new Date(t.createdAt).getTime();
-        return createdTime > recentTime;
-      });
-      
-      if (matchingTranslation) {
-        console.log("Found a recent translation that might match:", matchingTranslation);
-        
-        setTranslationStatus(prev => ({
-          ...prev,
-          processId: matchingTranslation.processId,
-          status: matchingTranslation.status,
-          progress: matchingTranslation.progress || 0,
-          currentPage: matchingTranslation.currentPage || 0,
-          totalPages: matchingTranslation.totalPages || 0,
-          isLoading: true,
-          lastStatusUpdate: Date.now()
-        }));
-        
-        // Start polling
-        pollTranslationStatus();
-        
-        toast.success("Found a recent translation! Monitoring progress...");
-        return;
-      }
-      
-      // Finally, check local storage for recent translations
-      try {
-        const recentTranslations = JSON.parse(localStorage.getItem('recentTranslations') || '[]');
-        
-        // Find a matching translation by file name
-        const savedTranslation = recentTranslations.find(t => t.fileName === fileInfo.name);
-        
-        if (savedTranslation && savedTranslation.processId) {
-          console.log("Found translation in local storage:", savedTranslation);
-          
-          // Verify it's valid by checking its status
-          try {
-            const statusData = await documentService.checkTranslationStatus(savedTranslation.processId);
-            
-            setTranslationStatus(prev => ({
-              ...prev,
-              processId: savedTranslation.processId,
-              status: statusData.status,
-              progress: statusData.progress || 0,
-              currentPage: statusData.currentPage || 0,
-              totalPages: statusData.totalPages || 0,
-              isLoading: true,
-              lastStatusUpdate: Date.now()
-            }));
-            
-            // Start polling
-            pollTranslationStatus();
-            
-            toast.success("Recovered translation from local cache!");
-            return;
-          } catch (statusError) {
-            console.log("Translation in local storage is no longer valid:", statusError);
-          }
-        }
-      } catch (storageError) {
-        console.warn("Failed to check local storage:", storageError);
-      }
-      
-      // If all attempts failed, show an error
-      throw new Error("Could not find any active translation for this file");
-      
     } catch (error) {
       console.error("Recovery attempt failed:", error);
-      toast.error("Could not recover the translation. Please try again.");
-      
-      setTranslationStatus(prev => ({
-        ...prev,
-        isLoading: false,
-        status: 'failed',
-        error: "Recovery attempt failed. Please try uploading the file again."
-      }));
     }
+    
+    // Nothing matches the upload's key or the file's hash: stay timed out so the user can check again or retry
+    toast.error("Could not find the translation for this file yet.");
+    setTranslationStatus(prev => ({
+      ...prev,
+      isLoading: false,
+      status: 'timeout',
+      error: UPLOAD_TIMEOUT_ERROR,
+      canRetryCheck: true
+    }));
+  };
+
+  // Upload the same file again under the same idempotency key; if the first attempt did reach the server, its job is returned
+  const handleRetryUpload = () => {
+    const { fileInfo, fromLang } = translationStatus;
+    if (!sourceFile || !fileInfo) return;
+
+    onTranslate(sourceFile, fromLang, fileInfo.toLang, {
+      pageCount: fileInfo.pageCount,
+      idempotencyKey: fileInfo.idempotencyKey
+    });
   };
 
   // Quick status check button handler
@@ -645,7 +895,7 @@ export default function DocumentTranslationPage() {
     toast.info("Checking translation status...");
     
     try {
-      const foundTranslation = await documentService.findTranslationByFile(fileInfo.name);
+      const foundTranslation = await findUploadedTranslation(fileInfo);
       
       if (foundTranslation) {
         setTranslationStatus(prev => ({
@@ -659,8 +909,8 @@ export default function DocumentTranslationPage() {
           lastStatusUpdate: Date.now()
         }));
         
-        // Start polling
-        pollTranslationStatus();
+        // The new processId starts the progress subscription
+        navigate(`/translations/${foundTranslation.processId}`, { replace: true });
         
         toast.success("Found your translation! Status updated.");
       } else {
@@ -683,7 +933,7 @@ export default function DocumentTranslationPage() {
       // First try with normal request
       const resultResponse = await documentService.getTranslationResult(processId);
       
-      setTranslationStatus({
+      setTranslationStatus(prev => ({
         isLoading: false,
         progress: 100,
         status: 'completed',
@@ -694,8 +944,11 @@ export default function DocumentTranslationPage() {
         processId: processId,
         currentPage: resultResponse.metadata.currentPage || 0,
         totalPages: resultResponse.metadata.totalPages || 0,
-        lastStatusUpdate: Date.now()
-      });
+        lastStatusUpdate: Date.now(),
+        fromLang: prev.fromLang,
+        detectedLanguage: resultResponse.metadata.detectedLanguage || prev.detectedLanguage,
+        detectionConfidence: resultResponse.metadata.detectionConfidence ?? prev.detectionConfidence
+      }));
       
       // Stop simulated progress
       if (simulatedProgress.active) {
@@ -729,7 +982,7 @@ export default function DocumentTranslationPage() {
           const partialResponse = await documentService.getTranslationResult(processId, true);
           
           if (partialResponse && partialResponse.translatedText) {
-            setTranslationStatus({
+            setTranslationStatus(prev => ({
               isLoading: false,
               progress: Math.min(100, translationStatus.progress || 0),
               status: 'partial',
@@ -741,8 +994,11 @@ export default function DocumentTranslationPage() {
               processId: processId,
               currentPage: partialResponse.metadata.currentPage || 0,
               totalPages: partialResponse.metadata.totalPages || 0,
-              lastStatusUpdate: Date.now()
-            });
+              lastStatusUpdate: Date.now(),
+              fromLang: prev.fromLang,
+              detectedLanguage: partialResponse.metadata.detectedLanguage || prev.detectedLanguage,
+              detectionConfidence: partialResponse.metadata.detectionConfidence ?? prev.detectionConfidence
+            }));
             
             toast.info('Partial translation results available', {
               description: 'The translation is still in progress, but partial results are available.'
@@ -796,8 +1052,34 @@ export default function DocumentTranslationPage() {
     }
   };
   
-  // Cancel translation function
-  const handleCancel = () => {
+  // Cancel translation function - stops the job on the server, then stops following it here
+  const handleCancel = async () => {
+    if (isCancelling) return;
+    
+    const { processId } = translationStatus;
+    let cancellation = null;
+    
+    // Still uploading: there is no job on the server yet, so stopping the upload is enough
+    if (!processId && uploadAbortRef.current) {
+      uploadAbortRef.current.abort();
+    }
+    
+    if (processId) {
+      setIsCancelling(true);
+      try {
+        cancellation = await documentService.cancelTranslation(processId);
+      } catch (error) {
+        console.error('Server-side cancellation failed:', error);
+        toast.error(
+          `${typeof error === 'string' ? error : 'Failed to cancel translation.'} The translation may still be running.`
+        );
+        return;
+      } finally {
+        setIsCancelling(false);
+      }
+    }
+    
+    closeStatusStream();
     if (statusCheckTimeoutRef.current) {
       clearTimeout(statusCheckTimeoutRef.current);
       statusCheckTimeoutRef.current = null;
@@ -812,7 +1094,8 @@ export default function DocumentTranslationPage() {
       ...prev,
       isLoading: false,
       status: 'cancelled',
-      error: 'Translation cancelled by user',
+      error: cancellation ? null : 'Translation cancelled by user',
+      cancellation
     }));
     
     setSimulatedProgress({
@@ -822,7 +1105,14 @@ export default function DocumentTranslationPage() {
       total: 0
     });
     
-    toast.info('Translation cancelled');
+    if (cancellation) {
+      toast.success(
+        `Translation cancelled after ${cancellation.pagesProcessed} page${cancellation.pagesProcessed === 1 ? '' : 's'}. ` +
+        `${cancellation.pagesBilled} page${cancellation.pagesBilled === 1 ? ' was' : 's were'} billed.`
+      );
+    } else {
+      toast.info('Translation cancelled');
+    }
   };
   
   // Function to manually retry polling
@@ -830,6 +1120,7 @@ export default function DocumentTranslationPage() {
     if (!translationStatus.processId) return;
     
     console.log('🔄 Manually retrying polling...');
+    closeStatusStream();
     setConsecFailures(0);
     setStatusCheckStalled(false);
     
@@ -868,6 +1159,14 @@ export default function DocumentTranslationPage() {
       return 'Processing translation (status updates delayed)...';
     }
     
+    if (translationStatus.status === 'pending' && uploadProgress) {
+      const speed = uploadProgress.bytesPerSecond > 0 ? ` at ${formatFileSize(uploadProgress.bytesPerSecond)}/s` : '';
+      if (uploadProgress.loaded >= uploadProgress.total) {
+        return 'Upload complete, starting translation...';
+      }
+      return `${uploadProgress.isResumed ? 'Resuming upload' : 'Uploading'}: ${formatFileSize(uploadProgress.loaded)} of ${formatFileSize(uploadProgress.total)}${speed}`;
+    }
+    
     if (translationStatus.status === 'pending') {
       return 'Initializing translation...';
     } else if (translationStatus.status === 'in_progress') {
@@ -914,6 +1213,9 @@ export default function DocumentTranslationPage() {
   
   // Get the current progress percentage to display
   const getProgressPercentage = () => {
+    if (uploadProgress && !translationStatus.processId) {
+      return uploadProgress.percent;
+    }
     if (simulatedProgress.active) {
       return simulatedProgress.value;
     }
@@ -949,6 +1251,18 @@ export default function DocumentTranslationPage() {
     );
   }
   
+  const translationEditor = translationStatus.translatedText && (
+    <TranslationEditor
+      originalHtml={translationStatus.translatedText}
+      editedHtml={editedText}
+      onChange={setEditedText}
+      direction={translationStatus.direction}
+      readOnly={translationStatus.isLoading}
+      contentRef={contentRef}
+      historyRef={editorHistoryRef}
+    />
+  );
+
   return (
     <div className="py-12 px-4 bg-gray-50">
       <div className="max-w-4xl mx-auto">
@@ -991,6 +1305,44 @@ export default function DocumentTranslationPage() {
           <div className="p-6">
             <DocumentsUpload onTranslate={onTranslate} isLoading={translationStatus.isLoading} onCancel={handleCancel} />
             
+            {/* Resumed translations banner */}
+            {resumedJobs && (
+              <div className="mt-6 bg-blue-50 p-4 rounded-lg border border-blue-100">
+                <div className="flex items-start">
+                  <div className="shrink-0 mt-0.5">
+                    <RefreshCw className="h-5 w-5 text-blue-500" />
+                  </div>
+                  <div className="ml-3 flex-1">
+                    <h3 className="text-sm font-medium text-blue-800">Translation resumed</h3>
+                    <p className="mt-1 text-sm text-blue-700">
+                      We picked up {resumedJobs.current.fileName ? <span className="font-medium">{resumedJobs.current.fileName}</span> : 'your translation'} where you left off.
+                    </p>
+                    {resumedJobs.others.length > 0 && (
+                      <div className="mt-2 text-sm text-blue-700">
+                        <p>Other unfinished translations:</p>
+                        <ul className="ml-5 mt-1 list-disc">
+                          {resumedJobs.others.map(job => (
+                            <li key={job.processId}>
+                              <Link to={`/translations/${job.processId}`} className="underline hover:text-blue-900">
+                                {job.fileName || job.processId}
+                              </Link>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                  <button 
+                    onClick={() => setResumedJobs(null)}
+                    className="p-1 rounded-full hover:bg-blue-100 text-blue-600 transition-colors"
+                    aria-label="Dismiss"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              </div>
+            )}
+            
             {/* Progress Bar */}
             {translationStatus.isLoading && (
               <div className="mt-6 bg-indigo-50 p-4 rounded-lg">
@@ -1001,6 +1353,12 @@ export default function DocumentTranslationPage() {
                     
                     {/* Status indicators */}
                     <div className="flex ml-2 gap-1">
+                      {isLiveUpdates && (
+                        <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">
+                          Live
+                        </span>
+                      )}
+                      
                       {consecFailures > 0 && (
                         <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
                           consecFailures > 5 
@@ -1034,10 +1392,11 @@ export default function DocumentTranslationPage() {
                     <span className="font-medium">{Math.round(getProgressPercentage())}%</span>
                     <button 
                       onClick={handleCancel} 
-                      className="p-1 rounded-full hover:bg-gray-200 text-gray-600 transition-colors"
+                      disabled={isCancelling}
+                      className="p-1 rounded-full hover:bg-gray-200 text-gray-600 transition-colors disabled:opacity-50"
                       aria-label="Cancel translation"
                     >
-                      <X size={16} />
+                      {isCancelling ? <Loader2 size={16} className="animate-spin" /> : <X size={16} />}
                     </button>
                   </div>
                 </div>
@@ -1120,7 +1479,8 @@ export default function DocumentTranslationPage() {
                     <div className="mt-2 flex gap-2">
                       <button
                         onClick={handleCancel}
-                        className="px-2 py-1 bg-white border border-amber-300 rounded text-amber-700 hover:bg-amber-50"
+                        disabled={isCancelling}
+                        className="px-2 py-1 bg-white border border-amber-300 rounded text-amber-700 hover:bg-amber-50 disabled:opacity-50"
                       >
                         Cancel
                       </button>
@@ -1136,6 +1496,15 @@ export default function DocumentTranslationPage() {
               </div>
             )}
   
+            {/* Detected source language */}
+            {translationStatus.detectedLanguage && (
+              <DetectedLanguageNotice
+                pickedLanguage={translationStatus.fromLang}
+                detectedLanguage={translationStatus.detectedLanguage}
+                confidence={translationStatus.detectionConfidence}
+              />
+            )}
+  
             {/* Error Message */}
             {!translationStatus.isLoading && translationStatus.error && (
               <div className="mt-6 bg-red-50 p-4 rounded-lg border border-red-100">
@@ -1190,6 +1559,14 @@ export default function DocumentTranslationPage() {
                         <Loader2 size={14} className="mr-1 animate-spin" />
                         Attempt recovery
                       </button>
+                      {sourceFile && (
+                        <button 
+                          onClick={handleRetryUpload}
+                          className="inline-flex items-center px-3 py-1.5 border border-amber-300 text-xs font-medium rounded-md text-amber-800 bg-white hover:bg-amber-50"
+                        >
+                          Retry upload
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -1246,16 +1623,11 @@ export default function DocumentTranslationPage() {
                     <p className="mt-1 text-sm">The translation has been running for too long without progress. This might be due to document complexity or server issues.</p>
                     <div className="mt-3 flex gap-3">
                       <button 
-                        onClick={() => {
-                          setTranslationStatus(prev => ({
-                            ...prev,
-                            isLoading: false,
-                            status: 'cancelled',
-                            error: null
-                          }));
-                        }}
-                        className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+                        onClick={handleCancel}
+                        disabled={isCancelling}
+                        className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
                       >
+                        {isCancelling && <Loader2 size={14} className="mr-1 animate-spin" />}
                         Cancel translation
                       </button>
                       <button 
@@ -1270,6 +1642,25 @@ export default function DocumentTranslationPage() {
               </div>
             )}
   
+            {/* Cancellation confirmation */}
+            {!translationStatus.isLoading && translationStatus.status === 'cancelled' && translationStatus.cancellation && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <div className="flex items-start">
+                  <div className="shrink-0 mt-0.5">
+                    <X className="h-5 w-5 text-gray-500" />
+                  </div>
+                  <div className="ml-3 flex-1">
+                    <h3 className="text-sm font-medium text-gray-800">Translation cancelled</h3>
+                    <p className="mt-1 text-sm text-gray-600">
+                      The server stopped the translation after processing {translationStatus.cancellation.pagesProcessed}
+                      {translationStatus.cancellation.totalPages > 0 && ` of ${translationStatus.cancellation.totalPages}`} page{translationStatus.cancellation.pagesProcessed === 1 ? '' : 's'}.
+                      {' '}{translationStatus.cancellation.pagesBilled} page{translationStatus.cancellation.pagesBilled === 1 ? ' was' : 's were'} billed to your balance.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+  
             {/* Translation Results */}
             {translationStatus.translatedText && (
               <div className="mt-8 border-t pt-6">
@@ -1279,6 +1670,18 @@ export default function DocumentTranslationPage() {
                     Translated Document
                   </h2>
                   <div className="flex gap-2">
+                    <button
+                      onClick={() => setIsCompareView(prev => !prev)}
+                      className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors ${
+                        isCompareView
+                          ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      title="Show the original next to the translation"
+                    >
+                      <Columns size={16} />
+                      Compare
+                    </button>
                     <button
                       onClick={handleCopyText}
                       className="flex items-center gap-2 px-3 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
@@ -1288,16 +1691,21 @@ export default function DocumentTranslationPage() {
                       {isCopied ? "Copied" : "Copy Text"}
                     </button>
                     <DocumentDownloadButton
-                      text={translationStatus.translatedText}
+                      text={exportText}
                       language={selectedLanguage}
+                      processId={translationStatus.processId}
+                      sourceLanguage={translationStatus.detectedLanguage || translationStatus.fromLang}
+                      originalFileName={translationStatus.fileName}
                       onError={(error) => toast.error(error)}
                       onSuccess={() => toast.success('Document downloaded successfully!')}
                       disabled={!translationStatus.translatedText || translationStatus.isLoading}
                       className="flex items-center gap-2"
                     />
                     <GoogleDriveButton
-                      htmlContent={translationStatus.translatedText}
-                      fileName={translationStatus.fileName ? `translated_${translationStatus.fileName.replace(/\.(pdf|jpe?g|png|webp|heic)$/i, '.docx')}` : 'translated_document.docx'}
+                      text={exportText}
+                      language={selectedLanguage}
+                      sourceLanguage={translationStatus.detectedLanguage || translationStatus.fromLang}
+                      originalFileName={translationStatus.fileName}
                       onError={(error) => toast.error(error)}
                       onSuccess={() => toast.success('Document saved to Google Drive successfully!')}
                       disabled={!translationStatus.translatedText || translationStatus.isLoading}
@@ -1318,16 +1726,14 @@ export default function DocumentTranslationPage() {
                   )}
                 </div>
   
-                <div
-                  ref={contentRef}
-                  className="document-preview p-6 border rounded-lg bg-white"
-                  style={{
-                    direction: translationStatus.direction,
-                    textAlign: translationStatus.direction === 'rtl' ? 'right' : 'left',
-                    fontFamily: translationStatus.direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
-                  }}
-                  dangerouslySetInnerHTML={{ __html: translationStatus.translatedText }}
-                />
+                {isCompareView ? (
+                  <SideBySideView
+                    sourceFile={sourceFile}
+                    processId={translationStatus.processId}
+                  >
+                    {translationEditor}
+                  </SideBySideView>
+                ) : translationEditor}
                 
                 <div className="mt-2 text-xs text-gray-500 text-right flex items-center justify-end gap-2">
                   <FileText className="h-3 w-3" />
@@ -1355,7 +1761,7 @@ export default function DocumentTranslationPage() {
                 <Languages className="h-6 w-6 text-indigo-600" />
               </div>
               <h3 className="text-lg font-semibold mb-2">Multiple Languages</h3>
-              <p className="text-gray-600">Support for 13+ languages including Spanish, French, German, Chinese, and Arabic.</p>
+              <p className="text-gray-600">Support for {languages.length} languages including Spanish, French, German, Chinese, and Arabic.</p>
             </div>
             
             <div className="bg-white p-6 rounded-lg shadow hover:shadow-md transition-shadow">
@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FolderOpen, FileText, RefreshCw, Eye, EyeOff, Loader2, Languages } from 'lucide-react';
+import { toast } from 'sonner';
+import { documentService, useApiAuth, useSupportedLanguages } from '../services/api';
+import { AUTO_DETECT, getLanguageLabel } from '../constants/languages';
+import { formatDate, formatFileSize } from '../utils/formatters';
+import TranslationResultPanel from './TranslationResultPanel';
+import TranslationStatusBadge from './TranslationStatusBadge';
+
+// Library card for one uploaded source document and its translated outputs
+function LibraryDocument({ libraryDocument }) {
+  const navigate = useNavigate();
+  const { languages, isPairSupported } = useSupportedLanguages();
+  // Prefer what the backend detected over an "Auto-detect" choice
+  const sourceLang = libraryDocument.translations
+    .map(t => t.detectedLanguage || t.fromLang)
+    .find(lang => lang && lang !== AUTO_DETECT) || null;
+  const translatedLangs = libraryDocument.translations.map(t => t.toLang);
+  const availableTargets = languages.filter(option => isPairSupported(sourceLang || AUTO_DETECT, option.value));
+
+  // Until the user picks one, suggest the first language without a translation yet.
+  // Derived on every render because the language list may arrive after mount.
+  const [selectedTargetLang, setTargetLang] = useState(null);
+  const targetLang = availableTargets.some(option => option.value === selectedTargetLang)
+    ? selectedTargetLang
+    : availableTargets.find(option => !translatedLangs.includes(option.value))?.value || availableTargets[0]?.value || '';
+  const [isStarting, setIsStarting] = useState(false);
+  const [openResult, setOpenResult] = useState(null);
+  const [loadingResultId, setLoadingResultId] = useState(null);
+
+  // Any existing translation references the stored source file
+  const sourceProcessId = libraryDocument.translations[0]?.processId;
+
+  const handleOpen = async (translation) => {
+    if (openResult?.processId === translation.processId) {
+      setOpenResult(null);
+      return;
+    }
+
+    setLoadingResultId(translation.processId);
+    try {
+      const result = await documentService.getTranslationResult(translation.processId);
+      setOpenResult({
+        processId: translation.processId,
+        translatedText: result.translatedText,
+        direction: result.direction || 'ltr',
+        language: translation.toLang,
+        sourceLanguage: translation.detectedLanguage || translation.fromLang,
+        fileName: libraryDocument.fileName
+      });
+    } catch (error) {
+      console.error('Failed to open translation:', error);
+      toast.error(error?.message || 'Failed to load translation result');
+    } finally {
+      setLoadingResultId(null);
+    }
+  };
+
+  const handleTranslate = async () => {
+    if (!sourceProcessId || !targetLang) return;
+
+    if (translatedLangs.includes(targetLang) &&
+        !window.confirm(`"${libraryDocument.fileName}" already has a ${getLanguageLabel(targetLang)} translation. Translate it again?`)) {
+      return;
+    }
+
+    setIsStarting(true);
+    try {
+      const response = await documentService.retranslateDocument(sourceProcessId, libraryDocument.fileName, sourceLang, targetLang);
+      toast.success(`Translation into ${getLanguageLabel(targetLang)} started`);
+      navigate(`/translations/${response.processId}`);
+    } catch (error) {
+      console.error('Failed to start translation:', error);
+      toast.error(typeof error === 'string' ? error : 'Failed to start translation');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md overflow-hidden border border-gray-100">
+      <div className="bg-gray-50 px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center min-w-0">
+          <div className="w-10 h-10 rounded-lg bg-indigo-100 flex items-center justify-center mr-3 shrink-0">
+            <FileText className="w-5 h-5 text-indigo-600" />
+          </div>
+          <div className="min-w-0">
+            <p className="font-medium text-gray-800 truncate">{libraryDocument.fileName}</p>
+            <p className="text-sm text-gray-500">
+              {sourceLang && <>{getLanguageLabel(sourceLang)} original • </>}
+              {libraryDocument.fileSize != null && <>{formatFileSize(libraryDocument.fileSize)} • </>}
+              Uploaded {formatDate(libraryDocument.uploadedAt)}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 shrink-0">
+          <div className="form-select-container">
+            <select
+              className="form-select text-sm py-1.5"
+              value={targetLang}
+              onChange={(e) => setTargetLang(e.target.value)}
+              disabled={isStarting}
+              aria-label="Target language"
+            >
+              {availableTargets.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button
+            onClick={handleTranslate}
+            disabled={isStarting || !sourceProcessId}
+            className="button-primary text-sm px-3 py-1.5 flex items-center gap-2 whitespace-nowrap"
+          >
+            {isStarting ? <Loader2 size={16} className="animate-spin" /> : <Languages size={16} />}
+            Translate
+          </button>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {libraryDocument.translations.map(translation => {
+          const isOpen = openResult?.processId === translation.processId;
+          const canOpen = translation.status === 'completed' || translation.status === 'partial';
+
+          return (
+            <li key={translation.processId} className="px-6 py-3">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+                  <span className="font-medium text-gray-700">{getLanguageLabel(translation.toLang)}</span>
+                  {translation.totalPages > 0 && (
+                    <span className="text-gray-500">{translation.totalPages} page{translation.totalPages === 1 ? '' : 's'}</span>
+                  )}
+                  <span className="text-gray-500">{formatDate(translation.createdAt)}</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <TranslationStatusBadge status={translation.status} />
+                  <button
+                    onClick={() => handleOpen(translation)}
+                    disabled={!canOpen || loadingResultId === translation.processId}
+                    className="p-2 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                    title={isOpen ? 'Hide result' : 'Open result'}
+                  >
+                    {loadingResultId === translation.processId ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : isOpen ? (
+                      <EyeOff className="h-4 w-4" />
+                    ) : (
+                      <Eye className="h-4 w-4" />
+                    )}
+                  </button>
+                </div>
+              </div>
+
+              {isOpen && <TranslationResultPanel result={openResult} />}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default function DocumentsPage() {
+  const { registerAuthInterceptor } = useApiAuth();
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isFromCache, setIsFromCache] = useState(false);
+
+  const loadDocuments = useCallback(async () => {
+    setIsLoading(true);
+    const library = await documentService.listDocuments();
+    setDocuments(library.documents);
+    setIsFromCache(library.isFromCache);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    registerAuthInterceptor();
+    loadDocuments();
+  }, [registerAuthInterceptor, loadDocuments]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8 flex flex-col items-center">
+          <div className="mb-4">
+            <FolderOpen className="h-16 w-16 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold mb-2 text-center bg-gradient-to-r from-indigo-700 to-indigo-500 bg-clip-text text-transparent">
+            Document Library
+          </h1>
+          <p className="text-lg text-gray-600 text-center max-w-2xl">
+            Your uploaded documents and their translations, ready to translate again
+          </p>
+        </div>
+
+        <div className="mb-4 flex items-center justify-between">
+          <p className="text-sm text-gray-500">
+            {isLoading ? 'Loading...' : `${documents.length} document${documents.length === 1 ? '' : 's'}`}
+          </p>
+          <button
+            onClick={loadDocuments}
+            disabled={isLoading}
+            className="p-1.5 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-50"
+            title="Refresh library"
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        {isFromCache && !isLoading && (
+          <div className="mb-4 px-4 py-2 rounded-lg bg-amber-50 border border-amber-100 text-xs text-amber-700">
+            Could not reach the server. Showing documents translated from this browser only.
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-8 w-8 text-indigo-600 animate-spin" />
+          </div>
+        ) : documents.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-md border border-gray-100 py-12 text-center text-gray-500">
+            <FileText className="h-10 w-10 mx-auto mb-3 text-gray-300" />
+            No documents yet. Documents you translate will appear here.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {documents.map(libraryDocument => (
+              <LibraryDocument
+                key={libraryDocument.documentId || libraryDocument.translations[0]?.processId}
+                libraryDocument={libraryDocument}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,39 +1,70 @@
-import { useState, useRef } from 'react'
-import { Upload, X, FileText, ArrowRightLeft } from 'lucide-react'
-
-const SUPPORTED_FILE_TYPES = [
-  'application/pdf',
-  'image/jpeg',
-  'image/png',
-  'image/webp',
-  'image/heic',
-  'image/heif'
-]
-
-const LANGUAGE_OPTIONS = [
-  { value: 'en', label: 'English' },
-  { value: 'es', label: 'Spanish' },
-  { value: 'fr', label: 'French' },
-  { value: 'de', label: 'German' },
-  { value: 'it', label: 'Italian' },
-  { value: 'pt', label: 'Portuguese' },
-  { value: 'ru', label: 'Russian' },
-  { value: 'zh', label: 'Chinese' },
-  { value: 'ja', label: 'Japanese' },
-  { value: 'ko', label: 'Korean' },
-  { value: 'ar', label: 'Arabic' },
-  { value: 'hi', label: 'Hindi' },
-  { value: 'fa', label: 'Persian' },
-  { value: 'ka', label: 'Georgian'},
-  { value: 'az', label: 'Azerbaijani'},
-  { value: 'hy', label: 'Armenian'},
-]
+import { useState, useRef, useEffect } from 'react'
+import { Upload, X, FileText, ArrowRightLeft, AlertTriangle, Crop, Undo2, ImageDown, Loader2 } from 'lucide-react'
+import { AUTO_DETECT, getLanguageLabel } from '../constants/languages'
+import { useSupportedLanguages } from '../services/api'
+import { FILE_INPUT_ACCEPT, getFileValidationError, isHeicFile } from '../utils/fileValidation'
+import { countDocumentPages } from '../utils/pageCount'
+import { isPdfFile, extractPdfPages } from '../utils/pdf'
+import { isImagePrepSupported } from '../utils/imagePrep'
+import { canOptimizeImage, prepareFileForUpload, prepareFilesForUpload } from '../utils/imageCompression'
+import { formatFileSize } from '../utils/formatters'
+import TranslationQueue from './TranslationQueue'
+import PageCostEstimate from './PageCostEstimate'
+import PreviousTranslationNotice from './PreviousTranslationNotice'
+import PdfPageSelector from './PdfPageSelector'
+import ImagePrepEditor from './ImagePrepEditor'
+import ImageCombiner from './ImageCombiner'
 
 export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
   const [file, setFile] = useState(null)
   const [dragActive, setDragActive] = useState(false)
-  const [fromLang, setFromLang] = useState('en')
-  const [toLang, setToLang] = useState('ru')
+  const [fromLang, setFromLang] = useState(AUTO_DETECT)
+  // First entry is the main target; more entries translate the same upload into each language
+  const [toLangs, setToLangs] = useState(['ru'])
+  const [queueFiles, setQueueFiles] = useState(null)
+  const [queueAutoStart, setQueueAutoStart] = useState(false)
+  const [pageCount, setPageCount] = useState(null)
+  const [isCountingPages, setIsCountingPages] = useState(false)
+  const [hasEnoughPages, setHasEnoughPages] = useState(true)
+  // Pages picked for translation; null means the whole document
+  const [selectedPages, setSelectedPages] = useState(null)
+  const [isPreparingFile, setIsPreparingFile] = useState(false)
+  // Photo as picked by the user, kept so image preparation can be undone
+  const [originalImage, setOriginalImage] = useState(null)
+  const [isEditingImage, setIsEditingImage] = useState(false)
+  // Several photos picked at once, offered for combining into one PDF
+  const [combineImages, setCombineImages] = useState(null)
+  // HEIC conversion / compression result, with the picked file kept so the original can still be sent
+  const [imageOptimization, setImageOptimization] = useState(null)
+  const [isOptimizingImage, setIsOptimizingImage] = useState(false)
+  
+  const { languages, sourceLanguages, isPairSupported } = useSupportedLanguages()
+  const [toLang] = toLangs
+  const unsupportedTargets = toLangs.filter(lang => !isPairSupported(fromLang, lang))
+  const isUnsupportedPair = unsupportedTargets.length > 0
+  const canSelectPages = Boolean(file) && isPdfFile(file) && pageCount > 1
+  const billedPageCount = selectedPages ? selectedPages.length : pageCount
+  const canPrepareImage = Boolean(file) && !isPdfFile(file) && !isHeicFile(file) && isImagePrepSupported()
+  const isSendingOriginalImage = Boolean(imageOptimization) && file === imageOptimization.original
+  
+  // Page count drives the cost shown before starting (PDF pages, one per image)
+  useEffect(() => {
+    setPageCount(null)
+    setHasEnoughPages(true)
+    setSelectedPages(null)
+    if (!file) return
+    
+    let isCancelled = false
+    setIsCountingPages(true)
+    countDocumentPages(file).then(count => {
+      if (isCancelled) return
+      setPageCount(count)
+      setIsCountingPages(false)
+    })
+    return () => {
+      isCancelled = true
+    }
+  }, [file])
   
   const fileInputRef = useRef(null)
   
@@ -43,31 +74,64 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
     e.stopPropagation()
     setDragActive(false)
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0])
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files)
     }
   }
   
   // Handle file selection from dialog
   const handleFileChange = (e) => {
-    if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0])
+    if (e.target.files && e.target.files.length > 0) {
+      handleFiles(e.target.files)
     }
   }
   
-  // Process selected file
-  const handleFile = (file) => {
-    if (!SUPPORTED_FILE_TYPES.includes(file.type)) {
-      alert('Unsupported file type. Please upload a PDF or image file.')
+  // Converts and compresses photos of a multi-file pick, reporting the files that cannot be used
+  const prepareFiles = async (files) => {
+    setIsOptimizingImage(files.some(canOptimizeImage))
+    const { accepted, rejected } = await prepareFilesForUpload(files)
+    setIsOptimizingImage(false)
+    if (rejected.length > 0) {
+      alert(`Some files were skipped:\n${rejected.join('\n')}`)
+    }
+    return accepted
+  }
+  
+  // Several files go to the batch queue (or the combiner when they are all photos),
+  // a single file to the regular flow
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList)
+    
+    if (files.length > 1) {
+      const validFiles = await prepareFiles(files)
+      if (validFiles.length === 0) return
+      
+      if (validFiles.length > 1 && !validFiles.some(isPdfFile)) {
+        setCombineImages(validFiles)
+        return
+      }
+      setQueueAutoStart(false)
+      setQueueFiles(validFiles)
       return
     }
     
-    if (file.size > 20 * 1024 * 1024) { // 20MB
-      alert('File too large. Maximum size is 20MB.')
+    handleFile(files[0])
+  }
+  
+  // Process selected file; photos are converted from HEIC and compressed when that helps
+  const handleFile = async (file) => {
+    setIsOptimizingImage(canOptimizeImage(file))
+    const prepared = await prepareFileForUpload(file)
+    setIsOptimizingImage(false)
+    if (prepared.error) {
+      alert(prepared.error)
       return
     }
     
-    setFile(file)
+    setOriginalImage(null)
+    setIsEditingImage(false)
+    setImageOptimization(prepared.optimization && { ...prepared.optimization, original: file })
+    setFile(prepared.file)
   }
   
   // Handle drag events
@@ -87,27 +151,101 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
     fileInputRef.current.click()
   }
   
+  // The combined PDF continues through the regular single-file flow
+  const handleImagesCombined = (combinedFile) => {
+    setCombineImages(null)
+    handleFile(combinedFile)
+  }
+  
+  const handleTranslateImagesSeparately = async (images) => {
+    setCombineImages(null)
+    const validFiles = await prepareFiles(images)
+    if (validFiles.length === 0) return
+    setQueueAutoStart(false)
+    setQueueFiles(validFiles)
+  }
+  
   // Reset file selection
   const resetFile = () => {
     setFile(null)
+    setImageOptimization(null)
+    setOriginalImage(null)
+    setIsEditingImage(false)
     if (fileInputRef.current) {
       fileInputRef.current.value = ''
     }
   }
   
-  // Swap languages
+  // Swap languages (not possible while the source is auto-detected)
   const swapLanguages = () => {
+    if (fromLang === AUTO_DETECT) return
+
     setFromLang(toLang)
-    setToLang(fromLang)
+    setToLangs([fromLang])
+  }
+  
+  const setMainTarget = (lang) => {
+    setToLangs([lang, ...toLangs.slice(1).filter(other => other !== lang)])
   }
   
-  // Handle translation
-  const handleTranslate = () => {
-    if (file && fromLang && toLang) {
-      onTranslate(file, fromLang, toLang)
+  const addTarget = (lang) => {
+    if (lang && !toLangs.includes(lang)) {
+      setToLangs([...toLangs, lang])
     }
   }
   
+  const removeTarget = (lang) => {
+    setToLangs(toLangs.filter(other => other !== lang))
+  }
+  
+  const handleImagePrepared = (preparedFile) => {
+    setOriginalImage(originalImage || file)
+    setFile(preparedFile)
+    setIsEditingImage(false)
+  }
+  
+  const restoreOriginalImage = () => {
+    setFile(originalImage)
+    setOriginalImage(null)
+  }
+  
+  const toggleOriginalImage = () => {
+    setFile(isSendingOriginalImage ? imageOptimization.file : imageOptimization.original)
+  }
+  
+  const togglePageSelection = (e) => {
+    setSelectedPages(e.target.checked ? Array.from({ length: pageCount }, (_, index) => index + 1) : null)
+  }
+  
+  // Handle translation - several target languages run as one grouped upload in the queue
+  const handleTranslate = async () => {
+    if (!file || !fromLang || !toLang || isUnsupportedPair || !hasEnoughPages) return
+    
+    // Only the chosen pages are uploaded, so only they are billed
+    let uploadFile = file
+    if (selectedPages && selectedPages.length < pageCount) {
+      setIsPreparingFile(true)
+      try {
+        uploadFile = await extractPdfPages(file, selectedPages)
+      } catch (error) {
+        console.error('Failed to extract selected pages:', error)
+        alert('The selected pages could not be extracted from this PDF. Try translating the whole document.')
+        return
+      } finally {
+        setIsPreparingFile(false)
+      }
+    }
+    
+    if (toLangs.length > 1) {
+      setQueueAutoStart(true)
+      setQueueFiles([uploadFile])
+      resetFile()
+      return
+    }
+    
+    onTranslate(uploadFile, fromLang, toLang, { pageCount: billedPageCount })
+  }
+  
   return (
     <div className="mb-6">
       <div className="flex flex-col sm:flex-row gap-4 mb-4">
@@ -123,7 +261,7 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               onChange={(e) => setFromLang(e.target.value)}
               disabled={isLoading}
             >
-              {LANGUAGE_OPTIONS.map((option) => (
+              {sourceLanguages.map((option) => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
@@ -135,8 +273,8 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
         <div className="hidden sm:flex items-end pb-1">
           <button 
             onClick={swapLanguages} 
-            className="p-2 rounded-full hover:bg-gray-100"
-            disabled={isLoading}
+            className="p-2 rounded-full hover:bg-gray-100 disabled:opacity-40"
+            disabled={isLoading || fromLang === AUTO_DETECT || toLangs.length > 1}
             title="Swap languages"
           >
             <ArrowRightLeft className="w-5 h-5 text-indigo-600" />
@@ -145,27 +283,89 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
         
         <div className="flex-1">
           <label htmlFor="toLang" className="block text-sm font-medium text-gray-700 mb-1">
-            To Language
+            To Language{toLangs.length > 1 ? 's' : ''}
           </label>
           <div className="form-select-container">
             <select
               id="toLang"
               className="form-select w-full"
               value={toLang}
-              onChange={(e) => setToLang(e.target.value)}
+              onChange={(e) => setMainTarget(e.target.value)}
               disabled={isLoading}
             >
-              {LANGUAGE_OPTIONS.map((option) => (
+              {languages.map((option) => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
               ))}
             </select>
           </div>
+          
+          <div className="mt-2 flex flex-wrap items-center gap-2">
+            {toLangs.slice(1).map(lang => (
+              <span key={lang} className="inline-flex items-center pl-2.5 pr-1 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                {getLanguageLabel(lang)}
+                <button
+                  type="button"
+                  onClick={() => removeTarget(lang)}
+                  className="ml-1 p-0.5 rounded-full hover:bg-indigo-200"
+                  disabled={isLoading}
+                  aria-label={`Remove ${getLanguageLabel(lang)}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+            <select
+              className="text-xs text-indigo-600 bg-transparent border border-dashed border-indigo-300 rounded-full px-2 py-0.5 cursor-pointer"
+              value=""
+              onChange={(e) => addTarget(e.target.value)}
+              disabled={isLoading}
+              aria-label="Add another target language"
+            >
+              <option value="">+ Add language</option>
+              {languages
+                .filter(option => !toLangs.includes(option.value))
+                .map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+            </select>
+          </div>
         </div>
       </div>
       
-      {!file ? (
+      {isUnsupportedPair && !queueFiles && (
+        <div className="mb-4 flex items-center text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+          {unsupportedTargets.includes(fromLang)
+            ? 'Source and target languages must be different.'
+            : `Translating from ${getLanguageLabel(fromLang)} to ${unsupportedTargets.map(getLanguageLabel).join(', ')} is not supported yet.`}
+        </div>
+      )}
+      
+      {queueFiles ? (
+        <TranslationQueue
+          initialFiles={queueFiles}
+          defaultFromLang={fromLang}
+          defaultToLangs={toLangs}
+          autoStart={queueAutoStart}
+          onClose={() => setQueueFiles(null)}
+        />
+      ) : combineImages ? (
+        <ImageCombiner
+          images={combineImages}
+          onCombine={handleImagesCombined}
+          onTranslateSeparately={handleTranslateImagesSeparately}
+          onCancel={() => setCombineImages(null)}
+        />
+      ) : isOptimizingImage ? (
+        <div className="card flex items-center justify-center py-12 text-sm text-gray-600">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin text-indigo-600" />
+          Optimizing photos for upload...
+        </div>
+      ) : !file ? (
         <div 
           className={`upload-area ${
             dragActive ? 'upload-area-active' : 'upload-area-inactive'
@@ -179,9 +379,10 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
             ref={fileInputRef}
             type="file"
             className="hidden"
-            accept={SUPPORTED_FILE_TYPES.join(',')}
+            accept={FILE_INPUT_ACCEPT}
             onChange={handleFileChange}
             disabled={isLoading}
+            multiple
           />
           
           <div className="flex flex-col items-center justify-center gap-3">
@@ -192,7 +393,10 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               Drag & drop or click to upload
             </p>
             <p className="text-sm text-gray-500">
-              Supported formats: PDF, JPEG, PNG, WEBP (max 20MB)
+              Supported formats: PDF, JPEG, PNG, WEBP, HEIC (max 20MB; larger photos are compressed)
+            </p>
+            <p className="text-xs text-gray-400">
+              Select several files to translate them as a batch, or several photos to combine into one document
             </p>
             <button
               type="button"
@@ -200,7 +404,7 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               className="button-primary mt-2"
               disabled={isLoading}
             >
-              Select File
+              Select Files
             </button>
           </div>
         </div>
@@ -214,7 +418,8 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
               <div>
                 <p className="font-medium text-gray-800">{file.name}</p>
                 <p className="text-sm text-gray-500">
-                  {(file.size / 1024 / 1024).toFixed(2)} MB • {file.type.split('/')[1].toUpperCase()}
+                  {(file.size / 1024 / 1024).toFixed(2)} MB • {(file.type.split('/')[1] || file.name.split('.').pop()).toUpperCase()}
+                  {pageCount > 0 && ` • ${pageCount} page${pageCount === 1 ? '' : 's'}`}
                 </p>
               </div>
             </div>
@@ -230,6 +435,97 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
             </button>
           </div>
           
+          {imageOptimization && !originalImage && !isLoading && (
+            <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+              <span className="flex items-center text-gray-600">
+                <ImageDown className="w-4 h-4 mr-1 text-green-600" />
+                {isSendingOriginalImage
+                  ? 'Sending the original photo'
+                  : `${imageOptimization.wasConverted ? 'Converted to JPEG' : 'Compressed'}: ${formatFileSize(imageOptimization.originalSize)} → ${formatFileSize(imageOptimization.file.size)}${
+                    imageOptimization.savedBytes > 0 ? ` (saved ${Math.round(imageOptimization.savedBytes / imageOptimization.originalSize * 100)}%)` : ''
+                  }`}
+              </span>
+              {/* The original can only be sent while it is within the upload limit */}
+              {!getFileValidationError(imageOptimization.original) && (
+                <button
+                  type="button"
+                  onClick={toggleOriginalImage}
+                  className="text-indigo-600 hover:text-indigo-800"
+                >
+                  {isSendingOriginalImage ? 'Use optimized version' : 'Send original instead'}
+                </button>
+              )}
+            </div>
+          )}
+          
+          {canPrepareImage && !isLoading && (
+            isEditingImage ? (
+              <ImagePrepEditor
+                file={originalImage || file}
+                onApply={handleImagePrepared}
+                onCancel={() => setIsEditingImage(false)}
+              />
+            ) : (
+              <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+                <button
+                  type="button"
+                  onClick={() => setIsEditingImage(true)}
+                  className="flex items-center gap-1 text-indigo-600 hover:text-indigo-800"
+                >
+                  <Crop className="w-4 h-4" />
+                  {originalImage ? 'Adjust again' : 'Prepare image (rotate, crop, enhance)'}
+                </button>
+                {originalImage && (
+                  <button
+                    type="button"
+                    onClick={restoreOriginalImage}
+                    className="flex items-center gap-1 text-gray-600 hover:text-gray-800"
+                  >
+                    <Undo2 className="w-4 h-4" />
+                    Use original photo
+                  </button>
+                )}
+              </div>
+            )
+          )}
+          
+          {canSelectPages && !isLoading && (
+            <div className="mb-4">
+              <label className="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mr-2 rounded border-gray-300 text-indigo-600"
+                  checked={Boolean(selectedPages)}
+                  onChange={togglePageSelection}
+                  disabled={isPreparingFile}
+                />
+                Translate only some pages
+              </label>
+              {selectedPages && (
+                <PdfPageSelector
+                  file={file}
+                  pageCount={pageCount}
+                  selectedPages={selectedPages}
+                  onChange={setSelectedPages}
+                  disabled={isPreparingFile}
+                />
+              )}
+            </div>
+          )}
+          
+          {!isLoading && (
+            <PageCostEstimate
+              pageCount={billedPageCount}
+              languageCount={toLangs.length}
+              isCounting={isCountingPages}
+              onBalanceCheck={setHasEnoughPages}
+            />
+          )}
+          
+          {!isLoading && !selectedPages && (
+            <PreviousTranslationNotice file={file} targetLanguages={toLangs} />
+          )}
+          
           <div className="flex flex-col sm:flex-row items-center gap-3 mt-6">
             {isLoading ? (
               <button
@@ -244,9 +540,11 @@ export default function DocumentsUpload({ onTranslate, isLoading, onCancel }) {
                 type="button"
                 onClick={handleTranslate}
                 className="button-primary w-full sm:w-auto"
-                disabled={!file || !fromLang || !toLang}
+                disabled={!file || !fromLang || !toLang || isUnsupportedPair || isCountingPages || !hasEnoughPages || isPreparingFile || isEditingImage}
               >
-                Translate Document
+                {isPreparingFile
+                  ? 'Preparing pages...'
+                  : toLangs.length > 1 ? `Translate into ${toLangs.length} Languages` : 'Translate Document'}
               </button>
             )}
           </div>
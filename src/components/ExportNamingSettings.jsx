@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  DEFAULT_FILE_NAME_TEMPLATE,
+  FILE_NAME_TEMPLATE_TOKENS,
+  buildExportFileName,
+  getFileNameTemplate
+} from '../utils/fileNames';
+
+// Default naming template for downloaded translations, saved to the user's profile
+export default function ExportNamingSettings({ user }) {
+  const savedTemplate = getFileNameTemplate(user);
+  const [template, setTemplate] = useState(savedTemplate);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setTemplate(savedTemplate);
+  }, [savedTemplate]);
+
+  const preview = buildExportFileName(template, {
+    originalName: 'contract.pdf',
+    from: 'de',
+    to: 'en',
+    ext: 'pdf'
+  });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await user.update({
+        unsafeMetadata: {
+          ...user.unsafeMetadata,
+          exportFileNameTemplate: template.trim() || DEFAULT_FILE_NAME_TEMPLATE
+        }
+      });
+      toast.success('File name template saved');
+    } catch (error) {
+      console.error('Failed to save file name template:', error);
+      toast.error('Failed to save file name template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100 mb-6">
+      <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-4">
+        <h2 className="text-xl font-semibold text-white">Export File Names</h2>
+        <p className="text-indigo-200 text-sm">How downloaded translations are named</p>
+      </div>
+      <div className="p-6">
+        <label htmlFor="file-name-template" className="block text-sm font-medium text-gray-700 mb-1">
+          Naming template
+        </label>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            id="file-name-template"
+            type="text"
+            value={template}
+            onChange={(e) => setTemplate(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            placeholder={DEFAULT_FILE_NAME_TEMPLATE}
+          />
+          <button
+            type="button"
+            onClick={() => setTemplate(DEFAULT_FILE_NAME_TEMPLATE)}
+            className="button-secondary text-sm px-3 py-1.5"
+            disabled={isSaving || template === DEFAULT_FILE_NAME_TEMPLATE}
+          >
+            Reset
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            className="button-primary flex items-center justify-center gap-2 text-sm px-3 py-1.5"
+            disabled={isSaving || template === savedTemplate}
+          >
+            {isSaving && <Loader2 size={16} className="animate-spin" />}
+            Save
+          </button>
+        </div>
+        <p className="mt-2 text-sm text-gray-500">
+          Example: <span className="font-mono text-gray-700">{preview}</span>
+        </p>
+
+        <ul className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+          {FILE_NAME_TEMPLATE_TOKENS.map(({ token, description }) => (
+            <li key={token} className="flex gap-2">
+              <span className="font-mono text-indigo-700">{token}</span>
+              <span className="text-gray-500">{description}</span>
+            </li>
+          ))}
+        </ul>
+        <p className="mt-3 text-xs text-gray-500">
+          Characters that Windows or macOS do not allow in file names are replaced automatically.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,18 @@
 // Google Drive functionality temporarily disabled
 import { useState } from 'react';
+import { useUser } from '@clerk/clerk-react';
 import { Download, FileText, File, ChevronDown, Loader2 } from 'lucide-react';
 import { documentService } from '../services/api';
+import { downloadBlob } from '../utils/fileDownload';
+import { buildExportFileName, getFileNameTemplate } from '../utils/fileNames';
+import { AUTO_DETECT } from '../constants/languages';
 import { toast } from 'sonner';
 
 export default function DocumentDownloadButton({ 
   text, 
   language, 
+  sourceLanguage,
+  originalFileName,
   onError, 
   onSuccess, 
   disabled,
@@ -15,6 +21,7 @@ export default function DocumentDownloadButton({
   const [isExporting, setIsExporting] = useState(false);
   const [exportType, setExportType] = useState(null);
   const [showDropdown, setShowDropdown] = useState(false);
+  const { user } = useUser();
 
   const handleExport = async (type) => {
     if (disabled || isExporting) return;
@@ -23,22 +30,22 @@ export default function DocumentDownloadButton({
     setExportType(type);
     
     try {
-      const fileName = `translated_document_${new Date().getTime()}.${type}`;
+      const fileName = buildExportFileName(getFileNameTemplate(user), {
+        originalName: originalFileName,
+        from: sourceLanguage !== AUTO_DETECT ? sourceLanguage : null,
+        to: language,
+        ext: type
+      });
       
-      let result;
+      let blob;
       if (type === 'pdf') {
-        result = await documentService.exportToPdf(text, fileName);
+        blob = await documentService.exportToPdf(text, fileName);
       } else if (type === 'docx') {
-        result = await documentService.exportToDocx(text, fileName);
+        blob = await documentService.exportToDocx(text, fileName);
       }
       
-      // Create and download the file
-      const linkSource = `data:application/${type === 'pdf' ? 'pdf' : 'vnd.openxmlformats-officedocument.wordprocessingml.document'};base64,${result[type === 'pdf' ? 'pdfData' : 'docxData']}`;
-      const downloadLink = document.createElement('a');
-      
-      downloadLink.href = linkSource;
-      downloadLink.download = fileName;
-      downloadLink.click();
+      // Download the file through an object URL
+      downloadBlob(blob, fileName);
       
       toast.success(`Document exported as ${type.toUpperCase()} successfully`);
       onSuccess?.();
@@ -0,0 +1,204 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Layers, FileText, RefreshCw, Eye, EyeOff, Trash2, Loader2, ArrowRight } from 'lucide-react';
+import { toast } from 'sonner';
+import { documentService, useApiAuth } from '../services/api';
+import { getLanguageLabel } from '../constants/languages';
+import { formatDate } from '../utils/formatters';
+import TranslationResultPanel from './TranslationResultPanel';
+import TranslationStatusBadge from './TranslationStatusBadge';
+
+export default function HistoryPage() {
+  const { registerAuthInterceptor } = useApiAuth();
+  const [translations, setTranslations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isFromCache, setIsFromCache] = useState(false);
+  const [openResult, setOpenResult] = useState(null);
+  const [loadingResultId, setLoadingResultId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
+    const history = await documentService.getTranslationHistory();
+    setTranslations(history.translations);
+    setIsFromCache(history.isFromCache);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    registerAuthInterceptor();
+    loadHistory();
+  }, [registerAuthInterceptor, loadHistory]);
+
+  const handleOpen = async (translation) => {
+    if (openResult?.processId === translation.processId) {
+      setOpenResult(null);
+      return;
+    }
+
+    setLoadingResultId(translation.processId);
+    try {
+      const result = await documentService.getTranslationResult(translation.processId);
+      setOpenResult({
+        processId: translation.processId,
+        translatedText: result.translatedText,
+        direction: result.direction || 'ltr',
+        language: translation.toLang,
+        sourceLanguage: translation.detectedLanguage || translation.fromLang,
+        fileName: result.metadata?.originalFileName || translation.fileName
+      });
+    } catch (error) {
+      console.error('Failed to open translation:', error);
+      toast.error(error?.message || 'Failed to load translation result');
+    } finally {
+      setLoadingResultId(null);
+    }
+  };
+
+  const handleDelete = async (translation) => {
+    if (!window.confirm(`Delete the translation of "${translation.fileName}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setDeletingId(translation.processId);
+    try {
+      await documentService.deleteTranslation(translation.processId);
+      setTranslations(prev => prev.filter(t => t.processId !== translation.processId));
+      if (openResult?.processId === translation.processId) {
+        setOpenResult(null);
+      }
+      toast.success('Translation deleted');
+    } catch (error) {
+      console.error('Failed to delete translation:', error);
+      toast.error(typeof error === 'string' ? error : 'Failed to delete translation');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const canOpen = (translation) => translation.status === 'completed' || translation.status === 'partial';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8 flex flex-col items-center">
+          <div className="mb-4">
+            <Layers className="h-16 w-16 text-indigo-600" />
+          </div>
+          <h1 className="text-3xl font-bold mb-2 text-center bg-gradient-to-r from-indigo-700 to-indigo-500 bg-clip-text text-transparent">
+            Translation History
+          </h1>
+          <p className="text-lg text-gray-600 text-center max-w-2xl">
+            Reopen, download or remove your past translations
+          </p>
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100">
+          <div className="bg-gradient-to-r from-indigo-600 to-indigo-800 px-6 py-5 flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-semibold text-white">Past Translations</h2>
+              <p className="text-indigo-200 text-sm">
+                {isLoading ? 'Loading...' : `${translations.length} translation${translations.length === 1 ? '' : 's'}`}
+              </p>
+            </div>
+            <button
+              onClick={loadHistory}
+              disabled={isLoading}
+              className="p-2 rounded-md text-white hover:bg-white/20 transition-colors disabled:opacity-50"
+              title="Refresh history"
+            >
+              <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+
+          {isFromCache && !isLoading && (
+            <div className="px-6 py-2 bg-amber-50 border-b border-amber-100 text-xs text-amber-700">
+              Could not reach the server. Showing translations started from this browser only.
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="h-8 w-8 text-indigo-600 animate-spin" />
+            </div>
+          ) : translations.length === 0 ? (
+            <div className="py-12 text-center text-gray-500">
+              <FileText className="h-10 w-10 mx-auto mb-3 text-gray-300" />
+              No translations yet. Translated documents will appear here.
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {translations.map((translation) => {
+                const isOpen = openResult?.processId === translation.processId;
+
+                return (
+                  <li key={translation.processId} className="px-6 py-4">
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                      <div className="flex items-start min-w-0">
+                        <div className="w-10 h-10 rounded-lg bg-indigo-100 flex items-center justify-center mr-3 shrink-0">
+                          <FileText className="w-5 h-5 text-indigo-600" />
+                        </div>
+                        <div className="min-w-0">
+                          <Link
+                            to={`/translations/${translation.processId}`}
+                            className="block font-medium text-gray-800 truncate hover:text-indigo-600"
+                            title="Open translation page"
+                          >
+                            {translation.fileName}
+                          </Link>
+                          <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-gray-500">
+                            <span className="flex items-center">
+                              {getLanguageLabel(translation.fromLang)}
+                              <ArrowRight className="h-3 w-3 mx-1" />
+                              {getLanguageLabel(translation.toLang)}
+                            </span>
+                            {translation.totalPages > 0 && (
+                              <span>{translation.totalPages} page{translation.totalPages === 1 ? '' : 's'}</span>
+                            )}
+                            <span>{formatDate(translation.createdAt)}</span>
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="flex items-center gap-2 shrink-0">
+                        <TranslationStatusBadge status={translation.status} />
+                        <button
+                          onClick={() => handleOpen(translation)}
+                          disabled={!canOpen(translation) || loadingResultId === translation.processId}
+                          className="p-2 rounded-md text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                          title={isOpen ? 'Hide result' : 'Open result'}
+                        >
+                          {loadingResultId === translation.processId ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : isOpen ? (
+                            <EyeOff className="h-4 w-4" />
+                          ) : (
+                            <Eye className="h-4 w-4" />
+                          )}
+                        </button>
+                        <button
+                          onClick={() => handleDelete(translation)}
+                          disabled={deletingId === translation.processId}
+                          className="p-2 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50 transition-colors disabled:opacity-40"
+                          title="Delete translation"
+                        >
+                          {deletingId === translation.processId ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="h-4 w-4" />
+                          )}
+                        </button>
+                      </div>
+                    </div>
+
+                    {isOpen && <TranslationResultPanel result={openResult} />}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useState, useEffect, useRef } from 'react';
+import { GripVertical, ChevronUp, ChevronDown, X, Plus, Loader2, Files, Layers } from 'lucide-react';
+import { imagesToPdf, isPdfFile } from '../utils/pdf';
+import { getFileValidationError } from '../utils/fileValidation';
+import { formatFileSize } from '../utils/formatters';
+
+let nextPhotoId = 1;
+
+const createPhoto = (file) => ({
+  id: nextPhotoId++,
+  file,
+  previewUrl: URL.createObjectURL(file)
+});
+
+// Several photos of one document, reordered by drag-and-drop and assembled into a single PDF
+export default function ImageCombiner({ images, onCombine, onTranslateSeparately, onCancel }) {
+  const [photos, setPhotos] = useState(() => images.map(createPhoto));
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [isCombining, setIsCombining] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fileInputRef = useRef(null);
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+
+  // Release preview URLs when the combiner goes away
+  useEffect(() => {
+    return () => {
+      photosRef.current.forEach(photo => URL.revokeObjectURL(photo.previewUrl));
+    };
+  }, []);
+
+  const movePhoto = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= photos.length || fromIndex === toIndex) return;
+    setPhotos(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(toIndex, 0, moved);
+      return next;
+    });
+  };
+
+  const removePhoto = (id) => {
+    const photo = photos.find(p => p.id === id);
+    if (photo) URL.revokeObjectURL(photo.previewUrl);
+    setPhotos(prev => prev.filter(p => p.id !== id));
+  };
+
+  const handleAddPhotos = (e) => {
+    const files = Array.from(e.target.files || []);
+    const accepted = files.filter(file => !getFileValidationError(file) && !isPdfFile(file));
+    if (accepted.length < files.length) {
+      alert('Only image files up to 20MB can be added to a combined document.');
+    }
+    setPhotos(prev => [...prev, ...accepted.map(createPhoto)]);
+    e.target.value = '';
+  };
+
+  const handleDragStart = (id) => (e) => {
+    setDraggedId(id);
+    e.dataTransfer.effectAllowed = 'move';
+    // Firefox needs some data set to start a drag
+    e.dataTransfer.setData('text/plain', String(id));
+  };
+
+  const handleDragOver = (index) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    // Dropping on the lower half of an item places the photo after it
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY > rect.top + rect.height / 2 ? index + 1 : index);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const fromIndex = photos.findIndex(photo => photo.id === draggedId);
+    if (fromIndex !== -1 && dropIndex !== null) {
+      movePhoto(fromIndex, dropIndex > fromIndex ? dropIndex - 1 : dropIndex);
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  const handleCombine = async () => {
+    setIsCombining(true);
+    setError(null);
+    try {
+      const baseName = photos[0].file.name.replace(/\.[^.]+$/, '');
+      const pdf = await imagesToPdf(photos.map(photo => photo.file), `${baseName}_combined.pdf`);
+      onCombine(pdf);
+    } catch (combineError) {
+      console.error('Failed to combine photos:', combineError);
+      setError('The photos could not be combined. Try translating them separately.');
+    } finally {
+      setIsCombining(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="mb-4">
+        <h3 className="text-lg font-medium text-gray-800">{photos.length} photos selected</h3>
+        <p className="text-sm text-gray-500">
+          Pages of one document? Drag them into order and combine them into a single PDF, translated as one continuous document.
+        </p>
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      <ol
+        className="space-y-2 mb-4"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+      >
+        {photos.map((photo, index) => (
+          <li
+            key={photo.id}
+            draggable={!isCombining}
+            onDragStart={handleDragStart(photo.id)}
+            onDragOver={handleDragOver(index)}
+            onDragEnd={handleDragEnd}
+            className={`flex items-center gap-3 p-2 rounded-lg border border-gray-200 bg-white transition-colors ${
+              draggedId === photo.id ? 'opacity-50' : ''
+            } ${
+              draggedId !== null && dropIndex === index ? 'border-t-4 border-t-indigo-500' : ''
+            } ${
+              draggedId !== null && dropIndex === photos.length && index === photos.length - 1 ? 'border-b-4 border-b-indigo-500' : ''
+            }`}
+          >
+            <GripVertical className="w-4 h-4 text-gray-400 cursor-grab shrink-0" />
+            <span className="w-6 text-sm font-medium text-gray-500 text-right">{index + 1}</span>
+            <img src={photo.previewUrl} alt={`Page ${index + 1}`} className="w-12 h-16 object-cover rounded border border-gray-200" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-800 truncate">{photo.file.name}</p>
+              <p className="text-xs text-gray-500">{formatFileSize(photo.file.size)}</p>
+            </div>
+            <div className="flex items-center">
+              <button
+                type="button"
+                onClick={() => movePhoto(index, index - 1)}
+                disabled={index === 0 || isCombining}
+                className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                title="Move up"
+              >
+                <ChevronUp size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => movePhoto(index, index + 1)}
+                disabled={index === photos.length - 1 || isCombining}
+                className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                title="Move down"
+              >
+                <ChevronDown size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => removePhoto(photo.id)}
+                disabled={photos.length <= 1 || isCombining}
+                className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-30"
+                title="Remove photo"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            accept="image/*,.heic,.heif"
+            onChange={handleAddPhotos}
+            multiple
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current.click()}
+            className="button-secondary flex items-center gap-2 text-sm px-3 py-1.5"
+            disabled={isCombining}
+          >
+            <Plus size={16} />
+            Add photos
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="button-secondary text-sm px-3 py-1.5"
+            disabled={isCombining}
+          >
+            Cancel
+          </button>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onTranslateSeparately(photos.map(photo => photo.file))}
+            className="button-secondary flex items-center gap-2 text-sm px-3 py-1.5"
+            disabled={isCombining}
+          >
+            <Files size={16} />
+            Translate separately
+          </button>
+          <button
+            type="button"
+            onClick={handleCombine}
+            className="button-primary flex items-center gap-2 text-sm px-3 py-1.5"
+            disabled={isCombining || photos.length === 0}
+          >
+            {isCombining ? <Loader2 size={16} className="animate-spin" /> : <Layers size={16} />}
+            {isCombining ? 'Combining...' : 'Combine into one document'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
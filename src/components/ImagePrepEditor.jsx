@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef } from 'react';
+import { RotateCcw, RotateCw, Loader2, Maximize, AlertTriangle } from 'lucide-react';
+import { DEFAULT_IMAGE_ADJUSTMENTS, decodeImage, prepareImage } from '../utils/imagePrep';
+import { FULL_IMAGE_CORNERS, drawRotated, getRotatedSize } from '../utils/imageGeometry';
+
+const PREVIEW_MAX_WIDTH = 560;
+const PREVIEW_MAX_HEIGHT = 420;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Rotate, crop/straighten (by dragging the four document corners), deskew and
+ * adjust tones of a photo before upload. The preview runs on the main thread
+ * at screen size; the full-resolution result is produced in a Web Worker.
+ */
+export default function ImagePrepEditor({ file, onApply, onCancel }) {
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const draggingCornerRef = useRef(null);
+
+  const [bitmap, setBitmap] = useState(null);
+  const [adjustments, setAdjustments] = useState(DEFAULT_IMAGE_ADJUSTMENTS);
+  const [corners, setCorners] = useState(FULL_IMAGE_CORNERS);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+    let decoded = null;
+
+    decodeImage(file)
+      .then(image => {
+        decoded = image;
+        if (isCancelled) {
+          image.close();
+        } else {
+          setBitmap(image);
+        }
+      })
+      .catch(decodeError => {
+        if (!isCancelled) setError(decodeError.message);
+      });
+
+    return () => {
+      isCancelled = true;
+      if (decoded) decoded.close();
+    };
+  }, [file]);
+
+  // Redraw the rotated preview whenever the angle changes
+  useEffect(() => {
+    if (!bitmap || !canvasRef.current) return;
+
+    const angle = adjustments.rotation + adjustments.deskew;
+    const fullSize = getRotatedSize(bitmap.width, bitmap.height, angle);
+    const scale = Math.min(1, PREVIEW_MAX_WIDTH / fullSize.width, PREVIEW_MAX_HEIGHT / fullSize.height);
+    drawRotated(canvasRef.current.getContext('2d'), bitmap, bitmap.width, bitmap.height, angle, scale);
+  }, [bitmap, adjustments.rotation, adjustments.deskew]);
+
+  const updateAdjustment = (name, value) => {
+    setAdjustments(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Quarter turns change which edge is "top", so the crop starts over
+  const rotate = (degrees) => {
+    setAdjustments(prev => ({ ...prev, rotation: (prev.rotation + degrees + 360) % 360 }));
+    setCorners(FULL_IMAGE_CORNERS);
+  };
+
+  const handlePointerDown = (index) => (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    draggingCornerRef.current = index;
+  };
+
+  const handlePointerMove = (e) => {
+    const index = draggingCornerRef.current;
+    if (index === null || !overlayRef.current) return;
+
+    const rect = overlayRef.current.getBoundingClientRect();
+    const point = {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+    setCorners(prev => prev.map((corner, cornerIndex) => (cornerIndex === index ? point : corner)));
+  };
+
+  const handlePointerUp = () => {
+    draggingCornerRef.current = null;
+  };
+
+  const handleReset = () => {
+    setAdjustments(DEFAULT_IMAGE_ADJUSTMENTS);
+    setCorners(FULL_IMAGE_CORNERS);
+  };
+
+  const handleApply = async () => {
+    setIsProcessing(true);
+    setError(null);
+    try {
+      const prepared = await prepareImage(file, { ...adjustments, corners });
+      onApply(prepared);
+    } catch (prepError) {
+      console.error('Image preparation failed:', prepError);
+      setError(prepError.message || 'Image preparation failed');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const previewFilter = `brightness(${adjustments.brightness}) contrast(${adjustments.contrast}) grayscale(${adjustments.grayscale ? 1 : 0})`;
+  const polygonPoints = corners.map(corner => `${corner.x * 100},${corner.y * 100}`).join(' ');
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-medium text-gray-800">Prepare image</h4>
+        <p className="text-xs text-gray-500">Drag the corners onto the edges of the document</p>
+      </div>
+
+      {error && (
+        <div className="mb-3 flex items-center text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="flex justify-center mb-4">
+        {bitmap ? (
+          <div className="relative inline-block select-none touch-none">
+            <canvas ref={canvasRef} className="block shadow" style={{ filter: previewFilter }} />
+            <div
+              ref={overlayRef}
+              className="absolute inset-0"
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            >
+              <svg className="absolute inset-0 w-full h-full pointer-events-none" viewBox="0 0 100 100" preserveAspectRatio="none">
+                <polygon points={polygonPoints} fill="rgba(79, 70, 229, 0.08)" stroke="#4f46e5" strokeWidth="0.6" vectorEffect="non-scaling-stroke" />
+              </svg>
+              {corners.map((corner, index) => (
+                <div
+                  key={index}
+                  onPointerDown={handlePointerDown(index)}
+                  className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-white border-2 border-indigo-600 shadow cursor-move"
+                  style={{ left: `${corner.x * 100}%`, top: `${corner.y * 100}%` }}
+                  aria-label={`Document corner ${index + 1}`}
+                />
+              ))}
+            </div>
+          </div>
+        ) : !error && (
+          <div className="flex items-center text-sm text-gray-500 py-12">
+            <Loader2 className="w-5 h-5 mr-2 animate-spin text-indigo-600" />
+            Loading image...
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3 text-sm">
+        <div className="flex items-center gap-2">
+          <span className="w-24 text-gray-600">Rotate</span>
+          <button type="button" onClick={() => rotate(-90)} className="p-1.5 rounded-md bg-white border border-gray-300 hover:bg-gray-100" title="Rotate left" disabled={!bitmap}>
+            <RotateCcw size={16} />
+          </button>
+          <button type="button" onClick={() => rotate(90)} className="p-1.5 rounded-md bg-white border border-gray-300 hover:bg-gray-100" title="Rotate right" disabled={!bitmap}>
+            <RotateCw size={16} />
+          </button>
+          <button
+            type="button"
+            onClick={() => setCorners(FULL_IMAGE_CORNERS)}
+            className="ml-auto flex items-center gap-1 px-2 py-1 rounded-md text-xs text-gray-600 hover:bg-gray-100"
+            disabled={!bitmap}
+          >
+            <Maximize size={14} />
+            Full image
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24 text-gray-600">Straighten</span>
+          <input
+            type="range"
+            min="-15"
+            max="15"
+            step="0.5"
+            value={adjustments.deskew}
+            onChange={(e) => updateAdjustment('deskew', Number(e.target.value))}
+            className="flex-1"
+            disabled={!bitmap}
+          />
+          <span className="w-12 text-right text-gray-500">{adjustments.deskew}°</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24 text-gray-600">Brightness</span>
+          <input
+            type="range"
+            min="0.5"
+            max="1.5"
+            step="0.05"
+            value={adjustments.brightness}
+            onChange={(e) => updateAdjustment('brightness', Number(e.target.value))}
+            className="flex-1"
+            disabled={!bitmap}
+          />
+          <span className="w-12 text-right text-gray-500">{Math.round(adjustments.brightness * 100)}%</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <span className="w-24 text-gray-600">Contrast</span>
+          <input
+            type="range"
+            min="0.5"
+            max="2"
+            step="0.05"
+            value={adjustments.contrast}
+            onChange={(e) => updateAdjustment('contrast', Number(e.target.value))}
+            className="flex-1"
+            disabled={!bitmap}
+          />
+          <span className="w-12 text-right text-gray-500">{Math.round(adjustments.contrast * 100)}%</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={adjustments.grayscale}
+            onChange={(e) => updateAdjustment('grayscale', e.target.checked)}
+            className="rounded border-gray-300 text-indigo-600"
+            disabled={!bitmap}
+          />
+          <span className="text-gray-600">Grayscale</span>
+        </label>
+      </div>
+
+      <div className="flex justify-end gap-2 mt-4">
+        <button type="button" onClick={handleReset} className="button-secondary text-sm px-3 py-1.5" disabled={isProcessing}>
+          Reset
+        </button>
+        <button type="button" onClick={onCancel} className="button-secondary text-sm px-3 py-1.5" disabled={isProcessing}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          className="button-primary flex items-center gap-2 text-sm px-3 py-1.5"
+          disabled={!bitmap || isProcessing}
+        >
+          {isProcessing && <Loader2 size={16} className="animate-spin" />}
+          {isProcessing ? 'Processing...' : 'Apply'}
+        </button>
+      </div>
+    </div>
+  );
+}
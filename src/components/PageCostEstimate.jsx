@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle, Loader2, FileText } from 'lucide-react';
+import { balanceService } from '../services/api';
+import PurchasePages from './PurchasePages';
+
+/**
+ * "This will use N pages; you have M" line shown before a translation starts.
+ * Reports whether the balance covers the cost through onBalanceCheck, so the
+ * caller can block the upload. An unknown page count or a cached/default
+ * balance only produces a warning.
+ */
+export default function PageCostEstimate({ pageCount, languageCount = 1, isCounting = false, onBalanceCheck, className = '' }) {
+  const [balance, setBalance] = useState(null);
+  const [isLoadingBalance, setIsLoadingBalance] = useState(true);
+
+  const fetchBalance = useCallback(async () => {
+    setIsLoadingBalance(true);
+    try {
+      setBalance(await balanceService.getBalance());
+    } catch (error) {
+      console.error('Failed to load balance for cost estimate:', error);
+      setBalance(null);
+    } finally {
+      setIsLoadingBalance(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBalance();
+  }, [fetchBalance]);
+
+  const totalPages = pageCount != null ? pageCount * languageCount : null;
+  const pagesBalance = balance?.pagesBalance ?? null;
+  const isBalanceReliable = pagesBalance != null && !balance.isFromCache && !balance.isDefault;
+  const shortfall = totalPages != null && pagesBalance != null ? totalPages - pagesBalance : 0;
+  const hasEnoughPages = !(isBalanceReliable && shortfall > 0);
+
+  useEffect(() => {
+    if (onBalanceCheck) onBalanceCheck(hasEnoughPages);
+  }, [hasEnoughPages, onBalanceCheck]);
+
+  const handlePurchase = () => {
+    // Short delay to allow backend to update
+    setTimeout(() => {
+      balanceService.invalidateCache();
+      fetchBalance();
+    }, 500);
+  };
+
+  if (isCounting || isLoadingBalance) {
+    return (
+      <p className={`flex items-center text-sm text-gray-500 ${className}`}>
+        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        {isCounting ? 'Counting pages...' : 'Checking your balance...'}
+      </p>
+    );
+  }
+
+  return (
+    <div className={className}>
+      <p className="flex items-center text-sm text-gray-600">
+        <FileText className="w-4 h-4 mr-2 text-indigo-600 shrink-0" />
+        <span>
+          {totalPages != null ? (
+            <>
+              This will use <span className="font-medium text-gray-800">{totalPages} page{totalPages === 1 ? '' : 's'}</span>
+              {languageCount > 1 && ` (${pageCount} × ${languageCount} languages)`}
+            </>
+          ) : (
+            'The page count could not be determined before upload'
+          )}
+          {pagesBalance != null && <>; you have <span className="font-medium text-gray-800">{pagesBalance}</span></>}
+          .
+        </span>
+      </p>
+
+      {shortfall > 0 && (
+        <div className={`mt-2 p-3 rounded-lg border flex flex-col sm:flex-row sm:items-center gap-3 ${
+          isBalanceReliable ? 'bg-red-50 border-red-200' : 'bg-amber-50 border-amber-200'
+        }`}>
+          <div className="flex items-start flex-1">
+            <AlertTriangle className={`w-5 h-5 mr-2 shrink-0 ${isBalanceReliable ? 'text-red-500' : 'text-amber-500'}`} />
+            <p className={`text-sm ${isBalanceReliable ? 'text-red-700' : 'text-amber-700'}`}>
+              {isBalanceReliable
+                ? `You need ${shortfall} more page${shortfall === 1 ? '' : 's'} to translate this document.`
+                : `Your balance may be out of date and looks ${shortfall} page${shortfall === 1 ? '' : 's'} short. The translation may stop early.`}
+            </p>
+          </div>
+          <PurchasePages
+            onSuccess={handlePurchase}
+            suggestedPages={shortfall}
+            className="text-sm px-3 py-1.5 shrink-0"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
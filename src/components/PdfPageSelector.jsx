@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef } from 'react';
+import { Check, Loader2 } from 'lucide-react';
+import { loadPdfDocument, renderPdfPage } from '../utils/pdf';
+import { parsePageRanges, formatPageRanges } from '../utils/pageRanges';
+
+const THUMBNAIL_WIDTH = 96;
+
+// Thumbnails plus a "1-3, 7" range field for choosing which PDF pages to translate
+export default function PdfPageSelector({ file, pageCount, selectedPages, onChange, disabled = false }) {
+  const canvasRefs = useRef([]);
+  const [rangeText, setRangeText] = useState(() => formatPageRanges(selectedPages));
+  const [rangeError, setRangeError] = useState(null);
+  const [renderedCount, setRenderedCount] = useState(0);
+
+  // Keep the text field in step with clicks on thumbnails
+  useEffect(() => {
+    setRangeText(formatPageRanges(selectedPages));
+    setRangeError(null);
+  }, [selectedPages]);
+
+  // Render thumbnails one page at a time so the first ones appear quickly
+  useEffect(() => {
+    let isCancelled = false;
+    let pdf = null;
+    setRenderedCount(0);
+
+    const renderThumbnails = async () => {
+      try {
+        pdf = await loadPdfDocument(file);
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+          const canvas = canvasRefs.current[pageNumber - 1];
+          if (isCancelled || !canvas) return;
+          await renderPdfPage(pdf, pageNumber, canvas, THUMBNAIL_WIDTH);
+          setRenderedCount(pageNumber);
+        }
+      } catch (error) {
+        console.error('Failed to render page thumbnails:', error);
+      }
+    };
+
+    renderThumbnails();
+
+    return () => {
+      isCancelled = true;
+      if (pdf) pdf.destroy();
+    };
+  }, [file]);
+
+  const applyRangeText = () => {
+    const { pages, error } = parsePageRanges(rangeText, pageCount);
+    if (error) {
+      setRangeError(error);
+      return;
+    }
+    setRangeError(null);
+    onChange(pages);
+  };
+
+  const togglePage = (pageNumber) => {
+    const isSelected = selectedPages.includes(pageNumber);
+    // At least one page has to stay selected
+    if (isSelected && selectedPages.length === 1) return;
+
+    onChange(isSelected
+      ? selectedPages.filter(page => page !== pageNumber)
+      : [...selectedPages, pageNumber].sort((a, b) => a - b));
+  };
+
+  const selectAll = () => {
+    onChange(Array.from({ length: pageCount }, (_, index) => index + 1));
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-3">
+        <label htmlFor="pageRanges" className="text-sm font-medium text-gray-700 shrink-0">
+          Pages to translate
+        </label>
+        <input
+          id="pageRanges"
+          type="text"
+          className={`flex-1 rounded-md border px-3 py-1.5 text-sm ${rangeError ? 'border-red-300' : 'border-gray-300'}`}
+          value={rangeText}
+          onChange={(e) => setRangeText(e.target.value)}
+          onBlur={applyRangeText}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              applyRangeText();
+            }
+          }}
+          placeholder="e.g. 1-3, 7"
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          onClick={selectAll}
+          className="text-sm text-indigo-600 hover:text-indigo-800 shrink-0"
+          disabled={disabled || selectedPages.length === pageCount}
+        >
+          All pages
+        </button>
+      </div>
+      {rangeError && <p className="-mt-2 mb-3 text-xs text-red-600">{rangeError}</p>}
+
+      <div className="grid grid-cols-3 sm:grid-cols-5 md:grid-cols-6 gap-3 max-h-72 overflow-y-auto p-1">
+        {Array.from({ length: pageCount }, (_, index) => {
+          const pageNumber = index + 1;
+          const isSelected = selectedPages.includes(pageNumber);
+
+          return (
+            <button
+              key={pageNumber}
+              type="button"
+              onClick={() => togglePage(pageNumber)}
+              disabled={disabled}
+              className={`relative flex flex-col items-center rounded-md border-2 p-1 transition-colors ${
+                isSelected ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 bg-white opacity-60 hover:opacity-100'
+              }`}
+              aria-pressed={isSelected}
+              title={`Page ${pageNumber}`}
+            >
+              <div className="flex items-center justify-center bg-gray-100" style={{ width: THUMBNAIL_WIDTH, minHeight: 120 }}>
+                {pageNumber > renderedCount && <Loader2 className="absolute w-4 h-4 text-gray-400 animate-spin" />}
+                <canvas ref={element => { canvasRefs.current[index] = element; }} className="block" />
+              </div>
+              <span className="mt-1 text-xs text-gray-600">{pageNumber}</span>
+              {isSelected && (
+                <span className="absolute top-1 right-1 w-5 h-5 rounded-full bg-indigo-600 flex items-center justify-center">
+                  <Check className="w-3 h-3 text-white" />
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { History } from 'lucide-react';
+import { documentService } from '../services/api';
+import { getLanguageLabel } from '../constants/languages';
+import { hashFile } from '../utils/fileHash';
+
+const formatShortDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+};
+
+// Offers earlier results when this exact file (by content hash) was already translated into a selected language
+export default function PreviousTranslationNotice({ file, targetLanguages }) {
+  const [previousTranslations, setPreviousTranslations] = useState([]);
+
+  useEffect(() => {
+    let isCancelled = false;
+    setPreviousTranslations([]);
+
+    hashFile(file).then(async (fileHash) => {
+      if (!fileHash || isCancelled) return;
+      const translations = await documentService.findPreviousTranslations(fileHash);
+      if (!isCancelled) setPreviousTranslations(translations);
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [file]);
+
+  // Newest result per selected language
+  const matches = targetLanguages
+    .map(lang => previousTranslations
+      .filter(t => t.toLang === lang)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0])
+    .filter(Boolean);
+
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="mt-4 space-y-2">
+      {matches.map(translation => {
+        const date = formatShortDate(translation.createdAt);
+        return (
+          <div key={translation.processId} className="flex items-start bg-blue-50 p-3 rounded-lg border border-blue-200">
+            <History className="h-5 w-5 text-blue-500 mr-2 shrink-0" />
+            <p className="text-sm text-blue-800">
+              You translated this exact file to {getLanguageLabel(translation.toLang)}{date && ` on ${date}`} — reuse the result?{' '}
+              <Link to={`/translations/${translation.processId}`} className="font-medium underline hover:text-blue-900">
+                Open previous translation
+              </Link>
+            </p>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -3,7 +3,7 @@ import { ShoppingCart, CreditCard, Plus, Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
 import { balanceService } from '../services/api';
 
-export default function PurchasePages({ onSuccess, className = "" }) {
+export default function PurchasePages({ onSuccess, className = "", suggestedPages = 0 }) {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [pageAmount, setPageAmount] = useState(10);
   const [email, setEmail] = useState('');
@@ -26,6 +26,14 @@ export default function PurchasePages({ onSuccess, className = "" }) {
     setIsModalOpen(true);
     setStep(1);
     setPurchaseInfo(null);
+    
+    // Start from the missing amount when opened from a cost warning
+    if (suggestedPages > 0) {
+      const matchingPackage = packageOptions.find(option => option.pages === suggestedPages);
+      setPageAmount(suggestedPages);
+      setIsCustom(!matchingPackage);
+      setCustomAmount(matchingPackage ? '' : String(suggestedPages));
+    }
   };
 
   const handleCloseModal = () => {
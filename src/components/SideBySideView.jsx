@@ -0,0 +1,231 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Loader2, AlertTriangle, FileText } from 'lucide-react';
+import { documentService } from '../services/api';
+import { isPdfFile, loadPdfDocument, renderPdfPage } from '../utils/pdf';
+
+// Elements the backend emits at the start of each translated page; data-page is kept by the sanitizer
+const PAGE_MARKER_SELECTOR = '[data-page]';
+
+// Top offset of each element within its scroll pane, followed by the pane's scroll height
+const getPageOffsets = (pane, elements) => {
+  const paneTop = pane.getBoundingClientRect().top - pane.scrollTop;
+  const offsets = elements.map(element => element.getBoundingClientRect().top - paneTop);
+  return [...offsets, pane.scrollHeight];
+};
+
+/**
+ * Maps a scroll position between two panes page by page: the same fraction
+ * into the same page on the other side. Without page boundaries on both
+ * sides this degrades to a proportional position over the whole document.
+ */
+const mapScrollPosition = (scrollTop, fromOffsets, toOffsets) => {
+  const pageCount = Math.min(fromOffsets.length, toOffsets.length) - 1;
+  const from = pageCount > 1 ? [...fromOffsets.slice(0, pageCount), fromOffsets[fromOffsets.length - 1]] : [0, fromOffsets[fromOffsets.length - 1]];
+  const to = pageCount > 1 ? [...toOffsets.slice(0, pageCount), toOffsets[toOffsets.length - 1]] : [0, toOffsets[toOffsets.length - 1]];
+
+  let page = 0;
+  while (page < from.length - 2 && scrollTop >= from[page + 1]) {
+    page++;
+  }
+
+  const pageHeight = from[page + 1] - from[page];
+  const fraction = pageHeight > 0 ? (scrollTop - from[page]) / pageHeight : 0;
+  return to[page] + fraction * (to[page + 1] - to[page]);
+};
+
+// Original document (PDF pages or the uploaded image) next to the translation rendered as children
+export default function SideBySideView({ sourceFile, processId, children }) {
+  const sourcePaneRef = useRef(null);
+  const translationPaneRef = useRef(null);
+  const canvasRefs = useRef([]);
+  const ignoreScrollRef = useRef(null);
+  const scrollFrameRef = useRef(null);
+
+  const [file, setFile] = useState(sourceFile);
+  const [pdf, setPdf] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Deep-linked jobs have no local file, so fetch the original upload from the server
+  useEffect(() => {
+    if (sourceFile) {
+      setFile(sourceFile);
+      return;
+    }
+    if (!processId) {
+      setIsLoading(false);
+      return;
+    }
+
+    let isCancelled = false;
+    setIsLoading(true);
+    documentService.getSourceDocument(processId)
+      .then(fetchedFile => {
+        if (!isCancelled) setFile(fetchedFile);
+      })
+      .catch(fetchError => {
+        if (!isCancelled) {
+          setError(typeof fetchError === 'string' ? fetchError : 'Failed to load the original file.');
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [sourceFile, processId]);
+
+  // Open the PDF or create a preview URL for the image
+  useEffect(() => {
+    if (!file) return;
+
+    let isCancelled = false;
+    let loadedPdf = null;
+    let objectUrl = null;
+    setError(null);
+
+    if (isPdfFile(file)) {
+      setIsLoading(true);
+      loadPdfDocument(file)
+        .then(pdfDocument => {
+          loadedPdf = pdfDocument;
+          if (isCancelled) {
+            pdfDocument.destroy();
+            return;
+          }
+          setPdf(pdfDocument);
+          setIsLoading(false);
+        })
+        .catch(loadError => {
+          console.error('Failed to open source PDF:', loadError);
+          if (!isCancelled) {
+            setError('The original PDF could not be displayed.');
+            setIsLoading(false);
+          }
+        });
+    } else {
+      objectUrl = URL.createObjectURL(file);
+      setImageUrl(objectUrl);
+      setIsLoading(false);
+    }
+
+    return () => {
+      isCancelled = true;
+      if (loadedPdf) loadedPdf.destroy();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setPdf(null);
+      setImageUrl(null);
+    };
+  }, [file]);
+
+  // Render pages one after another so the first ones show up quickly
+  useEffect(() => {
+    if (!pdf || !sourcePaneRef.current) return;
+
+    let isCancelled = false;
+    const pane = sourcePaneRef.current;
+    const styles = window.getComputedStyle(pane);
+    const width = pane.clientWidth - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight);
+
+    const renderPages = async () => {
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const canvas = canvasRefs.current[pageNumber - 1];
+        if (isCancelled || !canvas) return;
+        try {
+          await renderPdfPage(pdf, pageNumber, canvas, width);
+        } catch (renderError) {
+          console.error(`Failed to render page ${pageNumber}:`, renderError);
+        }
+      }
+    };
+
+    renderPages();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [pdf]);
+
+  const getOffsets = useCallback((pane) => {
+    const selector = pane === sourcePaneRef.current ? '[data-source-page]' : PAGE_MARKER_SELECTOR;
+    return getPageOffsets(pane, Array.from(pane.querySelectorAll(selector)));
+  }, []);
+
+  const syncScroll = useCallback((fromPane, toPane) => {
+    // Ignore the scroll event caused by our own scrollTop update
+    if (ignoreScrollRef.current === fromPane) {
+      ignoreScrollRef.current = null;
+      return;
+    }
+    if (scrollFrameRef.current) return;
+
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      const target = Math.round(mapScrollPosition(fromPane.scrollTop, getOffsets(fromPane), getOffsets(toPane)));
+      if (Math.abs(toPane.scrollTop - target) > 1) {
+        ignoreScrollRef.current = toPane;
+        toPane.scrollTop = target;
+      }
+    });
+  }, [getOffsets]);
+
+  useEffect(() => {
+    return () => {
+      if (scrollFrameRef.current) cancelAnimationFrame(scrollFrameRef.current);
+    };
+  }, []);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div>
+        <div className="mb-1 text-xs font-medium uppercase tracking-wide text-gray-500">Original</div>
+        <div
+          ref={sourcePaneRef}
+          onScroll={() => syncScroll(sourcePaneRef.current, translationPaneRef.current)}
+          className="h-[70vh] overflow-auto p-4 border border-gray-200 rounded-lg bg-gray-100"
+        >
+          {isLoading ? (
+            <div className="flex h-full items-center justify-center text-sm text-gray-500">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin text-indigo-600" />
+              Loading original document...
+            </div>
+          ) : error ? (
+            <div className="flex h-full flex-col items-center justify-center text-center text-sm text-gray-500">
+              <AlertTriangle className="h-6 w-6 mb-2 text-amber-500" />
+              {error}
+            </div>
+          ) : pdf ? (
+            <div className="space-y-4">
+              {Array.from({ length: pdf.numPages }, (_, index) => (
+                <div key={index} data-source-page={index + 1} className="bg-white shadow">
+                  <canvas ref={element => { canvasRefs.current[index] = element; }} className="block" />
+                </div>
+              ))}
+            </div>
+          ) : imageUrl ? (
+            <div data-source-page={1} className="bg-white shadow">
+              <img src={imageUrl} alt={file?.name || 'Original document'} className="block w-full" />
+            </div>
+          ) : (
+            <div className="flex h-full flex-col items-center justify-center text-sm text-gray-500">
+              <FileText className="h-6 w-6 mb-2 text-gray-300" />
+              The original file is not available.
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="mb-1 text-xs font-medium uppercase tracking-wide text-gray-500">Translation</div>
+        <div
+          ref={translationPaneRef}
+          onScroll={() => syncScroll(translationPaneRef.current, sourcePaneRef.current)}
+          className="h-[70vh] overflow-auto"
+        >
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
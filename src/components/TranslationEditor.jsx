@@ -0,0 +1,225 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Undo2, Redo2, RotateCcw } from 'lucide-react';
+import { sanitizeHtml } from '../utils/sanitizeHtml';
+
+const MAX_HISTORY = 100;
+// Typing within this window is grouped into a single undo step
+const SNAPSHOT_DELAY = 400;
+
+// Serializes HTML the way the browser does, so untouched content compares equal
+const normalizeHtml = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html || '';
+  return container.innerHTML;
+};
+
+/**
+ * Rich-text editor for the translated document. The browser's own editing
+ * keeps tables, headings and direction intact; undo/redo is tracked here so
+ * it also covers revert and programmatic changes.
+ * onChange receives the edited HTML, or null when it matches the machine translation.
+ * Pass historyRef (a ref owned by the parent) to keep the undo history when the
+ * editor is remounted, e.g. while toggling the side-by-side view.
+ */
+export default function TranslationEditor({ originalHtml, editedHtml, onChange, direction, readOnly = false, contentRef, historyRef: sharedHistoryRef }) {
+  const editorRef = useRef(null);
+  const ownHistoryRef = useRef({ entries: [], index: -1, originalHtml: null });
+  const historyRef = sharedHistoryRef || ownHistoryRef;
+  const editedHtmlRef = useRef(editedHtml);
+  const snapshotTimerRef = useRef(null);
+  const loadedOriginalRef = useRef(null);
+  const normalizedOriginalRef = useRef('');
+
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false });
+  const [isEdited, setIsEdited] = useState(false);
+
+  editedHtmlRef.current = editedHtml;
+
+  const updateHistoryState = useCallback(() => {
+    const { entries, index } = historyRef.current;
+    setHistoryState({ canUndo: index > 0, canRedo: index < entries.length - 1 });
+  }, [historyRef]);
+
+  const reportChange = (html) => {
+    const edited = html !== normalizedOriginalRef.current;
+    setIsEdited(edited);
+    onChange(edited ? html : null);
+  };
+
+  const commitSnapshot = useCallback((html) => {
+    const { entries, index } = historyRef.current;
+    if (entries[index] === html) return;
+
+    const nextEntries = [...entries.slice(0, index + 1), html].slice(-MAX_HISTORY);
+    historyRef.current = { ...historyRef.current, entries: nextEntries, index: nextEntries.length - 1 };
+    updateHistoryState();
+  }, [historyRef, updateHistoryState]);
+
+  const flushPendingSnapshot = () => {
+    if (snapshotTimerRef.current) {
+      clearTimeout(snapshotTimerRef.current);
+      snapshotTimerRef.current = null;
+      commitSnapshot(editorRef.current.innerHTML);
+    }
+  };
+
+  const applyHtml = (html) => {
+    editorRef.current.innerHTML = html;
+    reportChange(editorRef.current.innerHTML);
+  };
+
+  // Load the document on mount (keeping earlier edits) and whenever a new translation arrives
+  useEffect(() => {
+    const isFirstLoad = loadedOriginalRef.current === null;
+    loadedOriginalRef.current = originalHtml;
+    normalizedOriginalRef.current = normalizeHtml(originalHtml);
+
+    if (snapshotTimerRef.current) {
+      clearTimeout(snapshotTimerRef.current);
+      snapshotTimerRef.current = null;
+    }
+
+    const editedHtml = editedHtmlRef.current;
+    editorRef.current.innerHTML = isFirstLoad && editedHtml ? editedHtml : originalHtml;
+    const html = editorRef.current.innerHTML;
+
+    // A remount for the same translation continues the existing history
+    if (isFirstLoad && historyRef.current.originalHtml === originalHtml && historyRef.current.entries.length > 0) {
+      commitSnapshot(html);
+    } else {
+      historyRef.current = { entries: [html], index: 0, originalHtml };
+    }
+    setIsEdited(html !== normalizedOriginalRef.current);
+    updateHistoryState();
+  }, [originalHtml, historyRef, commitSnapshot, updateHistoryState]);
+
+  useEffect(() => {
+    return () => {
+      if (snapshotTimerRef.current) clearTimeout(snapshotTimerRef.current);
+    };
+  }, []);
+
+  const handleInput = () => {
+    const html = editorRef.current.innerHTML;
+    reportChange(html);
+
+    if (snapshotTimerRef.current) clearTimeout(snapshotTimerRef.current);
+    snapshotTimerRef.current = setTimeout(() => {
+      snapshotTimerRef.current = null;
+      commitSnapshot(editorRef.current.innerHTML);
+    }, SNAPSHOT_DELAY);
+  };
+
+  const handleUndo = () => {
+    flushPendingSnapshot();
+    const { entries, index } = historyRef.current;
+    if (index <= 0) return;
+
+    historyRef.current = { ...historyRef.current, index: index - 1 };
+    applyHtml(entries[index - 1]);
+    updateHistoryState();
+  };
+
+  const handleRedo = () => {
+    flushPendingSnapshot();
+    const { entries, index } = historyRef.current;
+    if (index >= entries.length - 1) return;
+
+    historyRef.current = { ...historyRef.current, index: index + 1 };
+    applyHtml(entries[index + 1]);
+    updateHistoryState();
+  };
+
+  const handleRevert = () => {
+    flushPendingSnapshot();
+    if (!isEdited) return;
+
+    applyHtml(originalHtml);
+    commitSnapshot(editorRef.current.innerHTML);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    } else if (key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  };
+
+  // Pasted markup goes through the same sanitizer as server results
+  const handlePaste = (e) => {
+    e.preventDefault();
+    const html = e.clipboardData.getData('text/html');
+    if (html) {
+      document.execCommand('insertHTML', false, sanitizeHtml(html));
+    } else {
+      document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    }
+  };
+
+  const setEditorRef = (element) => {
+    editorRef.current = element;
+    if (contentRef) contentRef.current = element;
+  };
+
+  return (
+    <div>
+      <div className="sticky top-0 z-10 mb-2 flex items-center gap-1 bg-white py-1">
+        <button
+          onClick={handleUndo}
+          disabled={readOnly || !historyState.canUndo}
+          className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 size={16} />
+        </button>
+        <button
+          onClick={handleRedo}
+          disabled={readOnly || !historyState.canRedo}
+          className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Redo (Ctrl+Y)"
+        >
+          <Redo2 size={16} />
+        </button>
+        <button
+          onClick={handleRevert}
+          disabled={readOnly || !isEdited}
+          className="ml-1 flex items-center gap-1 px-2 py-1 rounded-md text-xs text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+          title="Discard all edits"
+        >
+          <RotateCcw size={14} />
+          Revert to machine translation
+        </button>
+        {isEdited && (
+          <span className="ml-auto inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+            Edited
+          </span>
+        )}
+      </div>
+
+      <div
+        ref={setEditorRef}
+        contentEditable={!readOnly}
+        suppressContentEditableWarning
+        onInput={handleInput}
+        onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
+        className="document-preview p-6 border rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-200"
+        style={{
+          direction,
+          textAlign: direction === 'rtl' ? 'right' : 'left',
+          fontFamily: direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,684 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { FileText, Play, Pause, Plus, X, RotateCcw, Loader2, Check, AlertCircle, Download, Archive } from 'lucide-react';
+import { toast } from 'sonner';
+import { useUser } from '@clerk/clerk-react';
+import { documentService, useSupportedLanguages } from '../services/api';
+import { AUTO_DETECT, getLanguageLabel } from '../constants/languages';
+import { FILE_INPUT_ACCEPT } from '../utils/fileValidation';
+import { prepareFilesForUpload } from '../utils/imageCompression';
+import { EXPORT_MIME_TYPES, downloadBlob, downloadZip } from '../utils/fileDownload';
+import { countDocumentPages } from '../utils/pageCount';
+import { formatFileSize } from '../utils/formatters';
+import { buildExportFileName, getBaseName, getFileNameTemplate } from '../utils/fileNames';
+import { createUuid } from '../utils/uuid';
+import DocumentDownloadButton from './DocumentDownloadButton';
+import PageCostEstimate from './PageCostEstimate';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+const ACTIVE_STATUSES = ['uploading', 'pending', 'in_progress'];
+
+let nextItemId = 1;
+let nextGroupId = 1;
+
+const createQueueItem = (file, fromLang, toLang, groupId = null) => ({
+  id: nextItemId++,
+  groupId,
+  file,
+  fromLang,
+  toLang,
+  pageCount: undefined,
+  status: 'queued',
+  progress: 0,
+  currentPage: 0,
+  totalPages: 0,
+  processId: null,
+  // Sent with the upload; kept across retries so a retried upload cannot create a second job
+  idempotencyKey: createUuid(),
+  error: null,
+  result: null
+});
+
+// One item per target language; several targets for one file form a group sharing a single upload
+const createItemsForFile = (file, fromLang, toLangs) => {
+  const groupId = toLangs.length > 1 ? nextGroupId++ : null;
+  return toLangs.map(toLang => createQueueItem(file, fromLang, toLang, groupId));
+};
+
+// Consecutive items of the same group are shown together under one file header
+const groupItems = (items) => {
+  const groups = [];
+  items.forEach(item => {
+    const group = item.groupId && groups.find(g => g.groupId === item.groupId);
+    if (group) {
+      group.items.push(item);
+    } else {
+      groups.push({ groupId: item.groupId, key: item.groupId ? `group-${item.groupId}` : `item-${item.id}`, items: [item] });
+    }
+  });
+  return groups;
+};
+
+// Adds " (2)", " (3)", ... before the extension when the name is already in the ZIP
+const getUniqueFileName = (fileName, files) => {
+  if (!(fileName in files)) return fileName;
+  const baseName = getBaseName(fileName);
+  const extension = fileName.slice(baseName.length);
+  let counter = 2;
+  while (`${baseName} (${counter})${extension}` in files) counter += 1;
+  return `${baseName} (${counter})${extension}`;
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading...',
+  pending: 'Waiting for server...',
+  in_progress: 'Translating',
+  completed: 'Completed',
+  failed: 'Failed'
+};
+
+// Queue of files translated in parallel, each with its own language pair.
+// A file sent to several target languages is uploaded once and translated per language.
+export default function TranslationQueue({ initialFiles, defaultFromLang, defaultToLangs, autoStart = false, onClose }) {
+  const [items, setItems] = useState(() => initialFiles.flatMap(file => createItemsForFile(file, defaultFromLang, defaultToLangs)));
+  const [concurrency, setConcurrency] = useState(2);
+  const [isRunning, setIsRunning] = useState(autoStart);
+  const [isDownloadingAll, setIsDownloadingAll] = useState(false);
+  const [downloadingGroupId, setDownloadingGroupId] = useState(null);
+  const [isPreparingFiles, setIsPreparingFiles] = useState(false);
+  // Reported by the cost estimate; a batch the balance does not cover cannot be started
+  const [hasEnoughPages, setHasEnoughPages] = useState(true);
+  const { languages, sourceLanguages, isPairSupported } = useSupportedLanguages();
+  const { user } = useUser();
+
+  // Exported results follow the user's file naming template
+  const getExportFileName = (item, type) => buildExportFileName(getFileNameTemplate(user), {
+    originalName: item.file.name,
+    from: item.fromLang !== AUTO_DETECT ? item.fromLang : null,
+    to: item.toLang,
+    ext: type
+  });
+
+  const fileInputRef = useRef(null);
+  const startedIdsRef = useRef(new Set());
+  const countingFilesRef = useRef(new WeakSet());
+  const unmountedRef = useRef(false);
+  // Abort controllers of running items, so their uploads, streams and polling stop with them
+  const controllersRef = useRef(new Map());
+
+  useEffect(() => {
+    // Reset for StrictMode, which unmounts and mounts again in development
+    unmountedRef.current = false;
+    const controllers = controllersRef.current;
+    return () => {
+      unmountedRef.current = true;
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, []);
+
+  const updateItem = useCallback((id, updates) => {
+    if (unmountedRef.current) return;
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...updates } : item)));
+  }, []);
+
+  // Upload one file (or reuse the upload of another language in its group) and follow the job until it finishes
+  const runItem = useCallback(async (item, sourceProcessId = null) => {
+    // Unsupported pairs fail here instead of after a wasted upload
+    if (!isPairSupported(item.fromLang, item.toLang)) {
+      updateItem(item.id, {
+        status: 'failed',
+        error: `${getLanguageLabel(item.fromLang)} → ${getLanguageLabel(item.toLang)} is not supported`
+      });
+      return;
+    }
+
+    updateItem(item.id, { status: 'uploading', error: null, progress: 0 });
+
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+
+    try {
+      let response;
+      if (sourceProcessId) {
+        response = await documentService.retranslateDocument(sourceProcessId, item.file.name, item.fromLang, item.toLang);
+      } else {
+        const formData = new FormData();
+        formData.append('file', item.file);
+        formData.append('from_lang', item.fromLang);
+        formData.append('to_lang', item.toLang);
+        response = await documentService.initiateTranslation(formData, {
+          signal: controller.signal,
+          idempotencyKey: item.idempotencyKey,
+          onUploadProgress: ({ percent }) => updateItem(item.id, { progress: percent })
+        });
+      }
+      if (!response.processId) {
+        throw new Error('No process ID received from the server');
+      }
+      // Removed from the queue while the job was being created, before its process ID was known.
+      // Leaving the page only stops following the job; it keeps running on the server.
+      if (controller.signal.aborted) {
+        if (!unmountedRef.current) {
+          documentService.cancelTranslation(response.processId).catch(() => {});
+        }
+        return;
+      }
+
+      updateItem(item.id, { status: response.status || 'pending', processId: response.processId });
+
+      const finalStatus = await documentService.waitForTranslation(response.processId, {
+        signal: controller.signal,
+        onUpdate: (statusData) => updateItem(item.id, {
+          status: statusData.status === 'completed' ? 'in_progress' : statusData.status,
+          progress: statusData.progress || 0,
+          currentPage: statusData.currentPage || 0,
+          totalPages: statusData.totalPages || 0
+        })
+      });
+
+      if (finalStatus.status !== 'completed') {
+        throw new Error('Translation failed. Please try again.');
+      }
+
+      const result = await documentService.getTranslationResult(response.processId);
+      updateItem(item.id, {
+        status: 'completed',
+        progress: 100,
+        totalPages: result.metadata?.totalPages || finalStatus.totalPages || 0,
+        result: {
+          translatedText: result.translatedText,
+          direction: result.direction || 'ltr'
+        }
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error(`Queued translation of ${item.file.name} failed:`, error);
+      updateItem(item.id, {
+        status: 'failed',
+        error: typeof error === 'string' ? error : error.message || 'Failed to translate file'
+      });
+    } finally {
+      if (controllersRef.current.get(item.id) === controller) {
+        controllersRef.current.delete(item.id);
+      }
+    }
+  }, [updateItem, isPairSupported]);
+
+  // Start queued files whenever a slot frees up
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const activeCount = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    const freeSlots = concurrency - activeCount;
+    if (freeSlots <= 0) return;
+
+    const queued = items.filter(item => item.status === 'queued' && !startedIdsRef.current.has(item.id));
+
+    // Groups whose file is being uploaded right now; their other languages wait for the process ID
+    const uploadingGroups = new Set(items
+      .filter(item => item.groupId && !item.processId && startedIdsRef.current.has(item.id) &&
+        (item.status === 'queued' || item.status === 'uploading'))
+      .map(item => item.groupId));
+
+    let slotsLeft = freeSlots;
+    queued.forEach(item => {
+      if (slotsLeft <= 0) return;
+
+      let sourceProcessId = null;
+      if (item.groupId) {
+        sourceProcessId = items.find(other => other.groupId === item.groupId && other.processId)?.processId || null;
+        if (!sourceProcessId) {
+          if (uploadingGroups.has(item.groupId)) return;
+          uploadingGroups.add(item.groupId);
+        }
+      }
+
+      startedIdsRef.current.add(item.id);
+      slotsLeft -= 1;
+      runItem(item, sourceProcessId);
+    });
+
+    if (queued.length === 0 && activeCount === 0) {
+      setIsRunning(false);
+      const failedCount = items.filter(item => item.status === 'failed').length;
+      if (failedCount > 0) {
+        toast.warning(`Queue finished with ${failedCount} failed file${failedCount === 1 ? '' : 's'}`);
+      } else {
+        toast.success('All files translated');
+      }
+    }
+  }, [items, isRunning, concurrency, runItem]);
+
+  // Count pages of newly added files for the cost estimate
+  useEffect(() => {
+    const uncountedFiles = new Set(items
+      .filter(item => item.pageCount === undefined && !countingFilesRef.current.has(item.file))
+      .map(item => item.file));
+    uncountedFiles.forEach(file => {
+      countingFilesRef.current.add(file);
+      countDocumentPages(file).then(pageCount => {
+        if (unmountedRef.current) return;
+        setItems(prev => prev.map(item => (item.file === file ? { ...item, pageCount } : item)));
+      });
+    });
+  }, [items]);
+
+  // Photos are converted from HEIC and compressed the same way as in the single-file flow
+  const addFiles = async (files) => {
+    setIsPreparingFiles(true);
+    const { accepted, rejected } = await prepareFilesForUpload(Array.from(files));
+    if (unmountedRef.current) return;
+    setIsPreparingFiles(false);
+
+    if (rejected.length > 0) {
+      alert(`Some files were not added:\n${rejected.join('\n')}`);
+    }
+
+    setItems(prev => [...prev, ...accepted.flatMap(file => createItemsForFile(file, defaultFromLang, defaultToLangs))]);
+  };
+
+  const handleFileChange = (e) => {
+    if (e.target.files && e.target.files.length > 0) {
+      addFiles(e.target.files);
+      e.target.value = '';
+    }
+  };
+
+  // Stops following an item and cancels its server job if it is still running
+  const stopItem = (item) => {
+    controllersRef.current.get(item.id)?.abort();
+    controllersRef.current.delete(item.id);
+    if (item.processId && ACTIVE_STATUSES.includes(item.status)) {
+      documentService.cancelTranslation(item.processId).catch(error => {
+        console.warn(`Could not cancel translation ${item.processId}:`, error);
+      });
+    }
+  };
+
+  const removeItem = (id) => {
+    const item = items.find(other => other.id === id);
+    if (item) stopItem(item);
+    setItems(prev => prev.filter(other => other.id !== id));
+  };
+
+  const handleClear = () => {
+    if (activeCount > 0 &&
+        !window.confirm(`Stop ${activeCount} running translation${activeCount === 1 ? '' : 's'} and clear the queue?`)) {
+      return;
+    }
+    items.forEach(stopItem);
+    onClose();
+  };
+
+  const retryItem = (id) => {
+    startedIdsRef.current.delete(id);
+    setItems(prev => prev.map(item => (item.id === id ? {
+      ...item,
+      status: 'queued',
+      error: null,
+      progress: 0,
+      processId: null,
+      // A job was created and then failed, so the next attempt is a new job with a new key
+      idempotencyKey: item.processId ? createUuid() : item.idempotencyKey
+    } : item)));
+  };
+
+  // Exports finished items into { fileName: bytes } for one ZIP; names are made unique
+  // because templates without {original} or {to} can repeat
+  const exportItems = async (completedItems, type) => {
+    const files = {};
+    let failedCount = 0;
+
+    for (const item of completedItems) {
+      const fileName = getUniqueFileName(getExportFileName(item, type), files);
+      try {
+        const blob = type === 'pdf'
+          ? await documentService.exportToPdf(item.result.translatedText, fileName)
+          : await documentService.exportToDocx(item.result.translatedText, fileName);
+        files[fileName] = new Uint8Array(await blob.arrayBuffer());
+      } catch (error) {
+        console.error(`Export of ${fileName} failed:`, error);
+        failedCount += 1;
+      }
+    }
+
+    return { files, failedCount };
+  };
+
+  // Browsers block a burst of separate downloads, so everything arrives as one ZIP
+  const handleDownloadAll = async (type) => {
+    const completedItems = items.filter(item => item.status === 'completed' && item.result);
+    if (completedItems.length === 0) return;
+
+    setIsDownloadingAll(true);
+    try {
+      const { files, failedCount } = await exportItems(completedItems, type);
+      const fileNames = Object.keys(files);
+      if (fileNames.length === 1) {
+        downloadBlob(new Blob([files[fileNames[0]]], { type: EXPORT_MIME_TYPES[type] }), fileNames[0]);
+      } else if (fileNames.length > 1) {
+        await downloadZip(files, `translations_${type}.zip`);
+      }
+
+      if (failedCount > 0) {
+        toast.error(`${failedCount} of ${completedItems.length} downloads failed`);
+      } else {
+        toast.success(`Downloaded ${completedItems.length} translated document${completedItems.length === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Failed to build ZIP archive:', error);
+      toast.error('Failed to create the combined download');
+    } finally {
+      setIsDownloadingAll(false);
+    }
+  };
+
+  // One ZIP with every finished language of a grouped upload
+  const handleDownloadGroup = async (group, type) => {
+    const completedItems = group.items.filter(item => item.status === 'completed' && item.result);
+    if (completedItems.length === 0) return;
+
+    setDownloadingGroupId(group.groupId);
+    const baseName = getBaseName(completedItems[0].file.name);
+
+    try {
+      const { files, failedCount } = await exportItems(completedItems, type);
+      if (Object.keys(files).length > 0) {
+        await downloadZip(files, `${baseName}_translations_${type}.zip`);
+      }
+      if (failedCount > 0) {
+        toast.error(`${failedCount} of ${completedItems.length} languages could not be exported`);
+      } else {
+        toast.success(`Downloaded ${completedItems.length} translations of ${completedItems[0].file.name}`);
+      }
+    } catch (error) {
+      console.error('Failed to build ZIP archive:', error);
+      toast.error('Failed to create the combined download');
+    } finally {
+      setDownloadingGroupId(null);
+    }
+  };
+
+  const activeCount = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+  const queuedCount = items.filter(item => item.status === 'queued').length;
+  const completedCount = items.filter(item => item.status === 'completed').length;
+
+  // Pages billed for everything still waiting to start
+  const queuedItems = items.filter(item => item.status === 'queued');
+  const isCountingPages = queuedItems.some(item => item.pageCount === undefined);
+  const hasUnknownPageCount = queuedItems.some(item => item.pageCount === null);
+  const queuedPageCost = queuedItems.reduce((total, item) => total + (item.pageCount || 0), 0);
+
+  const renderItemRow = (item, isGrouped) => {
+    const isEditable = item.status === 'queued';
+    const isActive = ACTIVE_STATUSES.includes(item.status);
+    const isUnsupportedPair = isEditable && !isPairSupported(item.fromLang, item.toLang);
+
+    return (
+      <div key={item.id} className={isGrouped ? 'py-2 pl-12' : 'p-3'}>
+        <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+          {isGrouped ? (
+            <div className="flex-1 min-w-0 text-sm text-gray-700">
+              {getLanguageLabel(item.toLang)}
+              {item.pageCount > 0 && (
+                <span className="ml-2 text-xs text-gray-500">{item.pageCount} page{item.pageCount === 1 ? '' : 's'}</span>
+              )}
+            </div>
+          ) : (
+            <div className="flex items-center flex-1 min-w-0">
+              <div className="w-9 h-9 rounded-lg bg-indigo-100 flex items-center justify-center mr-3 shrink-0">
+                <FileText className="w-4 h-4 text-indigo-600" />
+              </div>
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-800 truncate">{item.file.name}</p>
+                <p className="text-xs text-gray-500">
+                  {formatFileSize(item.file.size)}
+                  {item.pageCount > 0 && ` • ${item.pageCount} page${item.pageCount === 1 ? '' : 's'}`}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2">
+            <select
+              className={`form-select py-1 text-sm w-32 ${isUnsupportedPair ? 'border-red-300' : ''}`}
+              value={item.fromLang}
+              onChange={(e) => updateItem(item.id, { fromLang: e.target.value })}
+              disabled={!isEditable}
+              aria-label={`Source language for ${item.file.name}`}
+            >
+              {sourceLanguages.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <span className="text-gray-400">→</span>
+            <select
+              className={`form-select py-1 text-sm w-32 ${isUnsupportedPair ? 'border-red-300' : ''}`}
+              value={item.toLang}
+              onChange={(e) => updateItem(item.id, { toLang: e.target.value })}
+              disabled={!isEditable}
+              aria-label={`Target language for ${item.file.name}`}
+            >
+              {languages.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex items-center justify-end gap-2 lg:w-56">
+            <span className={`flex items-center text-xs ${
+              item.status === 'completed'
+                ? 'text-green-700'
+                : item.status === 'failed'
+                  ? 'text-red-600'
+                  : 'text-gray-600'
+            }`}>
+              {isActive && <Loader2 size={12} className="mr-1 animate-spin" />}
+              {item.status === 'completed' && <Check size={12} className="mr-1" />}
+              {item.status === 'failed' && <AlertCircle size={12} className="mr-1" />}
+              {STATUS_LABELS[item.status] || item.status}
+              {item.status === 'in_progress' && item.totalPages > 0 && ` ${item.currentPage}/${item.totalPages}`}
+            </span>
+
+            {item.status === 'completed' && item.result && (
+              <DocumentDownloadButton
+                text={item.result.translatedText}
+                language={item.toLang}
+                processId={item.processId}
+                sourceLanguage={item.fromLang}
+                originalFileName={item.file.name}
+                onError={(error) => toast.error(error)}
+                className="text-sm"
+              />
+            )}
+            {item.status === 'failed' && (
+              <button
+                type="button"
+                onClick={() => retryItem(item.id)}
+                className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100"
+                title="Retry"
+              >
+                <RotateCcw size={16} />
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => removeItem(item.id)}
+              className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100"
+              title={isActive ? 'Stop and remove from queue' : 'Remove from queue'}
+            >
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+
+        {isActive && (
+          <div className="mt-2 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-600 transition-all duration-300 ease-out"
+              style={{ width: `${item.progress}%` }}
+            />
+          </div>
+        )}
+        {item.error && (
+          <p className="mt-1 text-xs text-red-600">{item.error}</p>
+        )}
+      </div>
+    );
+  };
+
+  const renderGroup = (group) => {
+    const [firstItem] = group.items;
+    const groupCompletedCount = group.items.filter(item => item.status === 'completed').length;
+    const isDownloadingGroup = downloadingGroupId === group.groupId;
+
+    return (
+      <li key={group.key} className="p-3">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div className="flex items-center min-w-0">
+            <div className="w-9 h-9 rounded-lg bg-indigo-100 flex items-center justify-center mr-3 shrink-0">
+              <FileText className="w-4 h-4 text-indigo-600" />
+            </div>
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-800 truncate">{firstItem.file.name}</p>
+              <p className="text-xs text-gray-500">
+                {formatFileSize(firstItem.file.size)} • {group.items.length} languages • uploaded once
+                {groupCompletedCount > 0 && ` • ${groupCompletedCount} done`}
+              </p>
+            </div>
+          </div>
+
+          {groupCompletedCount > 0 && (
+            <div className="flex items-center gap-2 shrink-0">
+              <span className="text-xs text-gray-600">All languages:</span>
+              {['pdf', 'docx'].map(type => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => handleDownloadGroup(group, type)}
+                  className="button-secondary flex items-center gap-1 text-xs px-2 py-1"
+                  disabled={Boolean(downloadingGroupId)}
+                  title={`Download every finished language as ${type.toUpperCase()} files in one ZIP`}
+                >
+                  {isDownloadingGroup ? <Loader2 size={14} className="animate-spin" /> : <Archive size={14} />}
+                  {type.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="mt-2 divide-y divide-gray-50">
+          {group.items.map(item => renderItemRow(item, true))}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <div className="card">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-800">Translation Queue</h3>
+          <p className="text-sm text-gray-500">
+            {items.length} translation{items.length === 1 ? '' : 's'} • {completedCount} done • {activeCount} running • {queuedCount} waiting
+          </p>
+          {queuedCount > 0 && !isRunning && (
+            <PageCostEstimate
+              pageCount={hasUnknownPageCount ? null : queuedPageCost}
+              isCounting={isCountingPages}
+              onBalanceCheck={setHasEnoughPages}
+              className="mt-1"
+            />
+          )}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label htmlFor="queueConcurrency" className="text-sm text-gray-600">Parallel</label>
+          <div className="form-select-container">
+            <select
+              id="queueConcurrency"
+              className="form-select py-1.5 text-sm"
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+            >
+              {CONCURRENCY_OPTIONS.map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={() => setIsRunning(!isRunning)}
+            className="button-primary flex items-center gap-2 text-sm px-3 py-1.5"
+            disabled={!isRunning && (queuedCount === 0 || isCountingPages || !hasEnoughPages)}
+          >
+            {isRunning ? <Pause size={16} /> : <Play size={16} />}
+            {isRunning ? 'Pause' : 'Start'}
+          </button>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+        {groupItems(items).map(group => (
+          group.groupId ? renderGroup(group) : <li key={group.key}>{renderItemRow(group.items[0], false)}</li>
+        ))}
+      </ul>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-4">
+        <div className="flex items-center gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            accept={FILE_INPUT_ACCEPT}
+            onChange={handleFileChange}
+            multiple
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current.click()}
+            className="button-secondary flex items-center gap-2 text-sm px-3 py-1.5"
+            disabled={isPreparingFiles}
+          >
+            {isPreparingFiles ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+            {isPreparingFiles ? 'Preparing...' : 'Add files'}
+          </button>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="button-secondary text-sm px-3 py-1.5"
+            title={activeCount > 0 ? 'Stop running translations and clear the queue' : 'Clear the queue'}
+          >
+            Clear queue
+          </button>
+        </div>
+
+        {completedCount > 0 && (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-gray-600">Download all:</span>
+            <button
+              type="button"
+              onClick={() => handleDownloadAll('pdf')}
+              className="button-secondary flex items-center gap-2 text-sm px-3 py-1.5"
+              disabled={isDownloadingAll}
+            >
+              {isDownloadingAll ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+              PDF
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDownloadAll('docx')}
+              className="button-secondary flex items-center gap-2 text-sm px-3 py-1.5"
+              disabled={isDownloadingAll}
+            >
+              {isDownloadingAll ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+              DOCX
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
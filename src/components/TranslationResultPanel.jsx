@@ -0,0 +1,30 @@
+import { toast } from 'sonner';
+import DocumentDownloadButton from './DocumentDownloadButton';
+
+// Read-only preview of a finished translation with its download menu
+export default function TranslationResultPanel({ result }) {
+  return (
+    <div className="mt-4">
+      <div className="mb-3 flex justify-end">
+        <DocumentDownloadButton
+          text={result.translatedText}
+          language={result.language}
+          processId={result.processId}
+          sourceLanguage={result.sourceLanguage}
+          originalFileName={result.fileName}
+          onError={(error) => toast.error(error)}
+          className="flex items-center gap-2"
+        />
+      </div>
+      <div
+        className="document-preview p-6 border rounded-lg bg-white"
+        style={{
+          direction: result.direction,
+          textAlign: result.direction === 'rtl' ? 'right' : 'left',
+          fontFamily: result.direction === 'rtl' ? 'Tahoma, Arial' : 'inherit',
+        }}
+        dangerouslySetInnerHTML={{ __html: result.translatedText }}
+      />
+    </div>
+  );
+}
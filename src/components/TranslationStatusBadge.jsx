@@ -0,0 +1,13 @@
+const STATUS_BADGES = {
+  completed: { label: 'Completed', className: 'status-badge-success' },
+  partial: { label: 'Partial', className: 'status-badge-info' },
+  failed: { label: 'Failed', className: 'status-badge-error' },
+  cancelled: { label: 'Cancelled', className: 'status-badge-error' },
+  in_progress: { label: 'In progress', className: 'status-badge-info' },
+  pending: { label: 'Pending', className: 'status-badge-info' }
+};
+
+export default function TranslationStatusBadge({ status }) {
+  const badge = STATUS_BADGES[status] || { label: status, className: 'status-badge-info' };
+  return <span className={`status-badge ${badge.className}`}>{badge.label}</span>;
+}
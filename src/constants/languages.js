@@ -0,0 +1,53 @@
+// Languages offered for translation when the backend's list is unavailable
+export const LANGUAGE_OPTIONS = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Spanish' },
+  { value: 'fr', label: 'French' },
+  { value: 'de', label: 'German' },
+  { value: 'it', label: 'Italian' },
+  { value: 'pt', label: 'Portuguese' },
+  { value: 'ru', label: 'Russian' },
+  { value: 'zh', label: 'Chinese' },
+  { value: 'ja', label: 'Japanese' },
+  { value: 'ko', label: 'Korean' },
+  { value: 'ar', label: 'Arabic' },
+  { value: 'hi', label: 'Hindi' },
+  { value: 'fa', label: 'Persian' },
+  { value: 'ka', label: 'Georgian'},
+  { value: 'az', label: 'Azerbaijani'},
+  { value: 'hy', label: 'Armenian'},
+]
+
+// Source language value that lets the backend detect the language itself
+export const AUTO_DETECT = 'auto'
+
+// Source dropdown choices: auto-detection first, then every supported language
+export const SOURCE_LANGUAGE_OPTIONS = [
+  { value: AUTO_DETECT, label: 'Auto-detect' },
+  ...LANGUAGE_OPTIONS,
+]
+
+// Names for languages the backend supports but this list doesn't know yet
+const displayNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['en'], { type: 'language' })
+  : null
+
+// Human-readable name for a language code, falling back to the code itself
+export const getLanguageLabel = (code) => {
+  if (!code) return 'Unknown'
+  const option = SOURCE_LANGUAGE_OPTIONS.find((language) => language.value === code)
+  if (option) return option.label
+
+  try {
+    const name = displayNames?.of(code)
+    if (name && name !== code) return name
+  } catch {
+    // Not a valid language tag
+  }
+  return code.toUpperCase()
+}
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur']
+
+export const getLanguageDirection = (code) => (RTL_LANGUAGES.includes(code) ? 'rtl' : 'ltr')
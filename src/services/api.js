@@ -1,6 +1,10 @@
-import { useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { useAuth as useClerkAuth } from '@clerk/clerk-react';
+import { sanitizeHtml } from '../utils/sanitizeHtml';
+import { hashFile } from '../utils/fileHash';
+import { EXPORT_MIME_TYPES } from '../utils/fileDownload';
+import { LANGUAGE_OPTIONS, AUTO_DETECT, getLanguageLabel } from '../constants/languages';
 
 // Create axios instance with proper configuration
 const api = axios.create({
@@ -14,6 +18,100 @@ const api = axios.create({
   withCredentials: true,
 });
 
+// Number of translations kept in the local history
+const MAX_RECENT_TRANSLATIONS = 50;
+
+// How long a progress stream may take to open before we fall back to polling
+const STREAM_OPEN_TIMEOUT = 10000; // 10 seconds
+
+// Polling cadence used when a progress stream is not available
+const STATUS_POLL_INTERVAL = 3000; // 3 seconds
+const MAX_STATUS_FAILURES = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Unfinished jobs older than this are not resumed automatically
+const RESUME_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// How long the supported language list is reused before asking the backend again
+const LANGUAGE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Files above this size are uploaded in chunks that can be retried and resumed
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024; // 8MB
+const UPLOAD_CHUNK_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_CHUNK_RETRIES = 5;
+
+// Unfinished chunked uploads, keyed by file, so a reload or a new attempt can resume them
+const PENDING_UPLOADS_KEY = 'pendingUploads';
+
+const getFileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Turns byte counts into the progress object passed to onUploadProgress:
+ * { loaded, total, percent, bytesPerSecond, isResumed }. Bytes already on the
+ * server when a resumed upload starts do not count towards the speed.
+ */
+const createUploadProgressReporter = (total, onUploadProgress) => {
+  const startedAt = Date.now();
+  let initialBytes = null;
+
+  return (loaded) => {
+    if (!onUploadProgress) return;
+    if (initialBytes === null) initialBytes = loaded;
+
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+    onUploadProgress({
+      loaded,
+      total,
+      percent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0,
+      bytesPerSecond: elapsedSeconds > 0 ? (loaded - initialBytes) / elapsedSeconds : 0,
+      isResumed: initialBytes > 0
+    });
+  };
+};
+
+const isJsonBlob = (blob) => /json/i.test(blob?.type || '');
+
+// Export endpoints reply with the file itself; older deployments still send { pdfData } / { docxData } as base64 JSON
+const toExportBlob = async (type, data) => {
+  if (!isJsonBlob(data)) {
+    return data.type ? data : new Blob([data], { type: EXPORT_MIME_TYPES[type] });
+  }
+
+  const legacy = JSON.parse(await data.text());
+  const binary = atob(legacy[`${type}Data`]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: EXPORT_MIME_TYPES[type] });
+};
+
+// Error bodies of blob requests arrive as a Blob too, so the JSON message is read out of it
+const getBlobErrorMessage = async (error) => {
+  const data = error.response?.data;
+  if (!(data instanceof Blob) || !isJsonBlob(data)) return data?.error;
+  try {
+    return JSON.parse(await data.text()).error;
+  } catch {
+    return undefined;
+  }
+};
+
+// Adapts axios download progress to { loaded, total, percent }; percent is null when the size is unknown
+const createDownloadProgressHandler = (onDownloadProgress) => {
+  if (!onDownloadProgress) return undefined;
+  return ({ loaded, total }) => {
+    onDownloadProgress({
+      loaded,
+      total: total || null,
+      percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null
+    });
+  };
+};
+
 // Store the token and interceptor ID for non-hook contexts
 let authToken = null;
 let tokenExpiryTime = null;
@@ -25,6 +123,12 @@ let isRefreshing = false;
 let refreshPromise = null;
 let refreshCallbacks = [];
 
+// Resolves once registerAuthInterceptor has attached the interceptor and tried to fetch a first token
+let resolveAuthReady;
+const authReady = new Promise(resolve => {
+  resolveAuthReady = resolve;
+});
+
 // Function to decode a JWT token without verifying signature
 const decodeToken = (token) => {
   try {
@@ -326,6 +430,7 @@ export const useApiAuth = () => {
       } catch (error) {
         console.error('❌ Failed to fetch initial token:', error);
       }
+      resolveAuthReady();
     } catch (error) {
       console.error("❌ Failed to register auth interceptor:", error);
     }
@@ -567,6 +672,142 @@ export const balanceService = {
   }
 };
 
+// Supported languages and language pairs, loaded from the backend and cached
+export const languageService = {
+  _catalog: null,
+  _pendingRequest: null,
+
+  // Fallback used until the backend answers, or when it cannot be reached
+  _fallbackCatalog: () => ({
+    languages: LANGUAGE_OPTIONS,
+    pairs: null,
+    isFallback: true
+  }),
+
+  // Accepts [{ code, name }] or [{ value, label }] language lists and either
+  // [{ from, to }] pairs or a { from: [to, ...] } map; pairs: null means any combination
+  _normalizeCatalog: (data) => {
+    const languages = (data.languages || [])
+      .map(language => ({
+        value: language.value || language.code,
+        label: language.label || language.name || getLanguageLabel(language.value || language.code)
+      }))
+      .filter(language => language.value);
+
+    let pairs = null;
+    if (Array.isArray(data.pairs)) {
+      pairs = {};
+      data.pairs.forEach(pair => {
+        const from = pair.from || pair.from_lang;
+        const to = pair.to || pair.to_lang;
+        pairs[from] = [...(pairs[from] || []), to];
+      });
+    } else if (data.pairs && typeof data.pairs === 'object') {
+      pairs = data.pairs;
+    }
+
+    return { languages, pairs, isFallback: false };
+  },
+
+  // Synchronous read of the last known catalog (memory, then localStorage)
+  getCachedCatalog: () => {
+    if (languageService._catalog) {
+      return languageService._catalog;
+    }
+    try {
+      const cached = JSON.parse(localStorage.getItem('supportedLanguages') || 'null');
+      if (cached?.languages?.length) {
+        languageService._catalog = cached;
+        return cached;
+      }
+    } catch (e) {
+      console.warn('Failed to read cached languages:', e);
+    }
+    return null;
+  },
+
+  getSupportedLanguages: async () => {
+    const cached = languageService.getCachedCatalog();
+    if (cached && Date.now() - cached.fetchedAt < LANGUAGE_CACHE_TTL) {
+      return cached;
+    }
+
+    if (languageService._pendingRequest) {
+      return languageService._pendingRequest;
+    }
+
+    languageService._pendingRequest = (async () => {
+      try {
+        console.log("🔄 Fetching supported languages...");
+        const response = await api.get('/languages');
+        const catalog = {
+          ...languageService._normalizeCatalog(response.data),
+          fetchedAt: Date.now()
+        };
+        if (catalog.languages.length === 0) {
+          throw new Error('Language list is empty');
+        }
+
+        console.log(`✅ Retrieved ${catalog.languages.length} supported languages`);
+        languageService._catalog = catalog;
+        try {
+          localStorage.setItem('supportedLanguages', JSON.stringify(catalog));
+        } catch (e) {
+          console.warn('Failed to cache supported languages:', e);
+        }
+        return catalog;
+      } catch (error) {
+        console.error("❌ Failed to fetch supported languages, using fallback list:", error);
+        // A stale list from the backend is still better than the built-in one
+        return cached || languageService._fallbackCatalog();
+      } finally {
+        languageService._pendingRequest = null;
+      }
+    })();
+
+    return languageService._pendingRequest;
+  },
+
+  // Whether the catalog allows translating fromLang into toLang ('auto' matches any source)
+  isPairSupported: (catalog, fromLang, toLang) => {
+    if (!fromLang || !toLang || fromLang === toLang) return false;
+    if (!catalog.languages.some(language => language.value === toLang)) return false;
+    if (!catalog.pairs) return true;
+
+    if (fromLang === AUTO_DETECT) {
+      return Object.values(catalog.pairs).some(targets => targets.includes(toLang));
+    }
+    return (catalog.pairs[fromLang] || []).includes(toLang);
+  }
+};
+
+// Supported languages for dropdowns, starting from the cache and refreshed from the backend
+export const useSupportedLanguages = () => {
+  const [catalog, setCatalog] = useState(() => languageService.getCachedCatalog() || languageService._fallbackCatalog());
+
+  useEffect(() => {
+    let isCancelled = false;
+    languageService.getSupportedLanguages().then(latest => {
+      if (!isCancelled) setCatalog(latest);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  const isPairSupported = useCallback(
+    (fromLang, toLang) => languageService.isPairSupported(catalog, fromLang, toLang),
+    [catalog]
+  );
+
+  return {
+    languages: catalog.languages,
+    sourceLanguages: [{ value: AUTO_DETECT, label: getLanguageLabel(AUTO_DETECT) }, ...catalog.languages],
+    isPairSupported,
+    isFallback: Boolean(catalog.isFallback)
+  };
+};
+
 // Document Service with Improved Authentication Handling, Request Deduplication, and Timeout Handling
 export const documentService = {
   // Store ongoing requests to prevent duplicates
@@ -631,7 +872,222 @@ export const documentService = {
       timestamp: Date.now()
     });
   },
-  
+
+  // Read the recent translations kept in local storage
+  getRecentTranslations: () => {
+    try {
+      return JSON.parse(localStorage.getItem('recentTranslations') || '[]');
+    } catch (error) {
+      console.warn("⚠️ Failed to read recent translations from local storage:", error);
+      return [];
+    }
+  },
+
+  _writeRecentTranslations: (recentTranslations) => {
+    try {
+      localStorage.setItem('recentTranslations', JSON.stringify(recentTranslations));
+    } catch (storageError) {
+      console.warn("⚠️ Failed to save to local storage:", storageError);
+    }
+  },
+
+  // Add a translation to the front of the local history
+  _saveRecentTranslation: (translationInfo) => {
+    const recentTranslations = documentService.getRecentTranslations()
+      .filter(t => t.processId !== translationInfo.processId);
+    recentTranslations.unshift(translationInfo);
+    // Keep only the most recent entries
+    documentService._writeRecentTranslations(recentTranslations.slice(0, MAX_RECENT_TRANSLATIONS));
+    console.log("📦 Saved translation info to local storage for recovery");
+  },
+
+  // Merge new fields (status, page count...) into a locally stored translation
+  updateRecentTranslation: (processId, updates) => {
+    const recentTranslations = documentService.getRecentTranslations();
+    const index = recentTranslations.findIndex(t => t.processId === processId);
+    if (index === -1) {
+      return;
+    }
+    recentTranslations[index] = { ...recentTranslations[index], ...updates };
+    documentService._writeRecentTranslations(recentTranslations);
+  },
+
+  removeRecentTranslation: (processId) => {
+    const recentTranslations = documentService.getRecentTranslations()
+      .filter(t => t.processId !== processId);
+    documentService._writeRecentTranslations(recentTranslations);
+  },
+
+  // Normalize history records from the backend and from local storage to one shape
+  _normalizeHistoryEntry: (entry) => ({
+    processId: entry.processId,
+    documentId: entry.documentId || entry.document_id || null,
+    fileName: entry.fileName || entry.originalFileName || 'Untitled document',
+    fromLang: entry.fromLang || entry.from_lang || null,
+    toLang: entry.toLang || entry.to_lang || null,
+    detectedLanguage: entry.detectedLanguage || entry.detected_language || null,
+    fileHash: entry.fileHash || entry.file_hash || null,
+    totalPages: entry.totalPages ?? null,
+    status: entry.status || 'pending',
+    createdAt: entry.createdAt || (entry.timestamp ? new Date(entry.timestamp).toISOString() : null)
+  }),
+
+  // List every past translation, falling back to the local history if the backend is unavailable
+  getTranslationHistory: async () => {
+    try {
+      console.log("🔄 Fetching translation history...");
+      const response = await api.get('/documents/history');
+      const translations = response.data.translations || [];
+      console.log("✅ Retrieved translation history:", translations.length);
+      return {
+        translations: translations.map(documentService._normalizeHistoryEntry),
+        isFromCache: false
+      };
+    } catch (error) {
+      console.error("❌ Failed to fetch translation history, using local history:", error);
+      return {
+        translations: documentService.getRecentTranslations().map(documentService._normalizeHistoryEntry),
+        isFromCache: true
+      };
+    }
+  },
+
+  deleteTranslation: async (processId) => {
+    console.log(`🔄 Deleting translation: ${processId}...`);
+    try {
+      await api.delete(`/documents/${processId}`);
+      console.log('✅ Translation deleted successfully');
+    } catch (error) {
+      // A translation the backend no longer knows about only needs to leave the local history
+      if (error.response?.status !== 404) {
+        console.error('❌ Failed to delete translation:', error);
+        throw error.response?.data?.error || 'Failed to delete translation.';
+      }
+    }
+    documentService.removeRecentTranslation(processId);
+    documentService._lastKnownStatus.delete(processId);
+  },
+
+  // Download the original upload of a translation (used when the page was opened by link)
+  getSourceDocument: async (processId) => {
+    console.log(`🔄 Fetching source document for process: ${processId}`);
+    try {
+      const response = await api.get(`/documents/source/${processId}`, {
+        responseType: 'blob',
+        timeout: 60000
+      });
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = disposition.match(/filename="?([^";]+)"?/i)?.[1] || 'source';
+      console.log(`✅ Source document fetched: ${fileName} (${response.data.size} bytes)`);
+      return new File([response.data], fileName, { type: response.data.type });
+    } catch (error) {
+      console.error('❌ Failed to fetch source document:', error);
+      throw error.response?.status === 404
+        ? 'The original file is no longer available.'
+        : 'Failed to load the original file.';
+    }
+  },
+
+  // Text recognised in the source document, as HTML paragraphs in reading order
+  getSourceText: async (processId) => {
+    console.log(`🔄 Fetching source text for process: ${processId}`);
+    try {
+      const response = await api.get(`/documents/source-text/${processId}`);
+      console.log('✅ Source text fetched');
+      return {
+        sourceText: sanitizeHtml(response.data.sourceText || ''),
+        language: response.data.language || null,
+        direction: response.data.direction || null
+      };
+    } catch (error) {
+      console.error('❌ Failed to fetch source text:', error);
+      throw error.response?.status === 404
+        ? 'The source text is not available for this translation.'
+        : error.response?.data?.error || 'Failed to load the source text.';
+    }
+  },
+
+  // Group translations that share an original file into library documents
+  _groupTranslationsByDocument: (translations) => {
+    const documents = new Map();
+    translations.forEach((translation) => {
+      // Uploads that merely share a name are different documents; the name is only used for old entries without a hash
+      const key = translation.documentId
+        ? `document:${translation.documentId}`
+        : translation.fileHash ? `hash:${translation.fileHash}` : `name:${translation.fileName}`;
+      if (!documents.has(key)) {
+        documents.set(key, {
+          documentId: translation.documentId || null,
+          fileName: translation.fileName,
+          fileType: null,
+          fileSize: null,
+          uploadedAt: translation.createdAt,
+          translations: []
+        });
+      }
+      const libraryDocument = documents.get(key);
+      libraryDocument.translations.push(translation);
+      // The earliest translation tells us when the source was first uploaded
+      if (translation.createdAt && (!libraryDocument.uploadedAt || translation.createdAt < libraryDocument.uploadedAt)) {
+        libraryDocument.uploadedAt = translation.createdAt;
+      }
+    });
+    return Array.from(documents.values());
+  },
+
+  // List uploaded source documents with their translated outputs
+  listDocuments: async () => {
+    try {
+      console.log("🔄 Fetching document library...");
+      const response = await api.get('/documents/library');
+      const documents = (response.data.documents || []).map(entry => ({
+        documentId: entry.documentId,
+        fileName: entry.fileName || entry.originalFileName,
+        fileType: entry.fileType || null,
+        fileSize: entry.fileSize ?? null,
+        uploadedAt: entry.uploadedAt || entry.createdAt || null,
+        translations: (entry.translations || []).map(documentService._normalizeHistoryEntry)
+      }));
+      console.log("✅ Retrieved document library:", documents.length);
+      return { documents, isFromCache: false };
+    } catch (error) {
+      console.error("❌ Failed to fetch document library, grouping translation history instead:", error);
+      const history = await documentService.getTranslationHistory();
+      return {
+        documents: documentService._groupTranslationsByDocument(history.translations),
+        isFromCache: history.isFromCache
+      };
+    }
+  },
+
+  // Translate an already uploaded source document into another language
+  retranslateDocument: async (sourceProcessId, fileName, fromLang, toLang) => {
+    console.log(`🔄 Starting new translation of ${sourceProcessId} into ${toLang}...`);
+    try {
+      const response = await api.post(`/documents/${sourceProcessId}/retranslate`, {
+        from_lang: fromLang || AUTO_DETECT,
+        to_lang: toLang
+      });
+      console.log(`✅ Translation started, received processId: ${response.data.processId}`);
+
+      // The new job translates the same source, so it keeps the source's hash for grouping and reuse
+      const source = documentService.getRecentTranslations().find(entry => entry.processId === sourceProcessId);
+      documentService._saveRecentTranslation({
+        processId: response.data.processId,
+        fileName,
+        fileHash: source?.fileHash || null,
+        fromLang,
+        toLang,
+        timestamp: Date.now(),
+        status: response.data.status || 'pending'
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to start translation from library:', error);
+      throw error.response?.data?.error || 'Failed to start translation.';
+    }
+  },
 
   // List active translations
   listActiveTranslations: async () => {
@@ -646,16 +1102,100 @@ export const documentService = {
     }
   },
 
-  // Find translation by file name
-  findTranslationByFile: async (fileName) => {
+  // Jobs started from this browser or listed active by the server that were still running when last seen.
+  // Newest first, so the caller can pick up the most recent one.
+  findUnfinishedTranslations: async () => {
+    const cutoff = Date.now() - RESUME_WINDOW;
+    const recentTranslations = documentService.getRecentTranslations();
+    const unfinished = new Map();
+
+    // Jobs this browser never saw finish - even if they are done by now the user has not seen the result
+    recentTranslations
+      .filter(t => t.processId && !FINISHED_STATUSES.includes(t.status) && t.timestamp > cutoff)
+      .forEach(t => unfinished.set(t.processId, {
+        processId: t.processId,
+        fileName: t.fileName,
+        toLang: t.toLang,
+        startedAt: t.timestamp
+      }));
+
+    const activeTranslations = await documentService.listActiveTranslations();
+    activeTranslations.forEach(t => {
+      if (unfinished.has(t.processId)) return;
+      const saved = recentTranslations.find(r => r.processId === t.processId);
+      unfinished.set(t.processId, {
+        processId: t.processId,
+        fileName: t.fileName || saved?.fileName || null,
+        toLang: t.toLang || saved?.toLang || null,
+        startedAt: t.createdAt ? new Date(t.createdAt).getTime() : Date.now()
+      });
+    });
+
+    const translations = Array.from(unfinished.values()).sort((a, b) => b.startedAt - a.startedAt);
+    console.log(`🔍 Found ${translations.length} unfinished translation(s) to resume`);
+    return translations;
+  },
+
+  // Find the most recent job for this exact file (by content hash) into the given language.
+  // createdAfter (ms timestamp) keeps earlier translations of the same file out of recovery.
+  findTranslationByHash: async (fileHash, toLang, { createdAfter } = {}) => {
     try {
-      console.log(`🔄 Searching for translation of file: ${fileName}`);
-      const response = await api.get(`/documents/find?file_name=${encodeURIComponent(fileName)}`);
+      console.log(`🔄 Searching for translation of file hash ${fileHash} into ${toLang}`);
+      const response = await api.get('/documents/find', {
+        params: {
+          file_hash: fileHash,
+          to_lang: toLang,
+          created_after: createdAfter ? new Date(createdAfter).toISOString() : undefined
+        }
+      });
+      console.log("✅ Found translation:", response.data);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.log("⚠️ No translation found for file hash:", fileHash);
+        return null;
+      }
+      console.error("❌ Error finding translation:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Earlier completed translations of this exact file, newest first, so the
+   * user can reuse a result instead of paying again. Falls back to the local
+   * history when the backend can't be asked.
+   */
+  findPreviousTranslations: async (fileHash) => {
+    try {
+      const response = await api.get('/documents/history', { params: { file_hash: fileHash } });
+      return (response.data.translations || [])
+        .map(documentService._normalizeHistoryEntry)
+        .filter(t => t.status === 'completed');
+    } catch (error) {
+      console.warn("⚠️ Failed to look up previous translations, using local history:", error);
+      return documentService.getRecentTranslations()
+        .filter(t => t.fileHash === fileHash && t.status === 'completed')
+        .map(documentService._normalizeHistoryEntry);
+    }
+  },
+
+  // Job started by an upload attempt that timed out: by its idempotency key, else by the file's content hash
+  recoverTranslation: async ({ idempotencyKey, fileHash, toLang, startedAt }) => {
+    const byKey = await documentService.findTranslationByKey(idempotencyKey);
+    if (byKey || !fileHash) return byKey;
+    return documentService.findTranslationByHash(fileHash, toLang, { createdAfter: startedAt });
+  },
+
+  // Find the job created by an upload attempt, using the idempotency key sent with it
+  findTranslationByKey: async (idempotencyKey) => {
+    try {
+      console.log(`🔄 Searching for translation with key: ${idempotencyKey}`);
+      const response = await api.get(`/documents/find?idempotency_key=${encodeURIComponent(idempotencyKey)}`);
       console.log("✅ Found translation:", response.data);
       return response.data;
     } catch (error) {
       if (error.response && error.response.status === 404) {
-        console.log("⚠️ No translation found for file:", fileName);
+        console.log("⚠️ No translation found for key:", idempotencyKey);
         return null;
       }
       console.error("❌ Error finding translation:", error);
@@ -663,8 +1203,140 @@ export const documentService = {
     }
   },
 
-  // Update the initiateTranslation method to handle timeouts better
-  initiateTranslation: async (formData) => {
+  _getPendingUploads: () => {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY) || '{}');
+    } catch {
+      return {};
+    }
+  },
+
+  _setPendingUpload: (fingerprint, uploadId) => {
+    const pendingUploads = documentService._getPendingUploads();
+    if (uploadId) {
+      pendingUploads[fingerprint] = { uploadId, createdAt: Date.now() };
+    } else {
+      delete pendingUploads[fingerprint];
+    }
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(pendingUploads));
+  },
+
+  // Reuses the server-side upload session left by an earlier attempt at the same file, or opens a new one
+  _openUploadSession: async (file, totalChunks, signal) => {
+    const fingerprint = getFileFingerprint(file);
+    const saved = documentService._getPendingUploads()[fingerprint];
+
+    if (saved && Date.now() - saved.createdAt < RESUME_WINDOW) {
+      try {
+        const response = await api.get(`/documents/uploads/${saved.uploadId}`, { signal });
+        console.log(`🔁 Resuming upload ${saved.uploadId}: ${response.data.receivedChunks.length}/${totalChunks} chunks already on the server`);
+        return { uploadId: saved.uploadId, receivedChunks: response.data.receivedChunks };
+      } catch (error) {
+        if (axios.isCancel(error)) throw error;
+        console.warn(`⚠️ Upload ${saved.uploadId} can no longer be resumed, starting over:`, error);
+      }
+    }
+
+    const response = await api.post('/documents/uploads', {
+      file_name: file.name,
+      file_size: file.size,
+      content_type: file.type,
+      chunk_size: UPLOAD_CHUNK_SIZE,
+      total_chunks: totalChunks
+    }, { signal });
+    documentService._setPendingUpload(fingerprint, response.data.uploadId);
+    console.log(`✅ Opened upload ${response.data.uploadId} for ${totalChunks} chunks`);
+    return { uploadId: response.data.uploadId, receivedChunks: [] };
+  },
+
+  // Sends one chunk, retrying with backoff on network errors and server failures
+  _uploadChunk: async (uploadId, file, index, { signal, onChunkProgress }) => {
+    const start = index * UPLOAD_CHUNK_SIZE;
+    const chunk = file.slice(start, Math.min(start + UPLOAD_CHUNK_SIZE, file.size));
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await api.put(`/documents/uploads/${uploadId}/chunks/${index}`, chunk, {
+          headers: { 'Content-Type': 'application/octet-stream' },
+          signal,
+          onUploadProgress: (event) => onChunkProgress(event.loaded)
+        });
+        return;
+      } catch (error) {
+        const status = error.response?.status;
+        const isRetryable = !axios.isCancel(error) && (!status || status >= 500);
+        if (!isRetryable || attempt >= MAX_CHUNK_RETRIES) throw error;
+
+        console.warn(`⚠️ Chunk ${index} failed (attempt ${attempt}/${MAX_CHUNK_RETRIES}), retrying...`);
+        onChunkProgress(0);
+        await sleep(Math.min(1000 * 2 ** (attempt - 1), 15000));
+      }
+    }
+  },
+
+  /**
+   * Uploads a large file chunk by chunk and only then asks the server to start
+   * the translation. The upload id is kept in localStorage until the job starts,
+   * so a failed attempt at the same file picks up where it stopped.
+   */
+  _initiateChunkedTranslation: async (file, formData, { signal, onUploadProgress, idempotencyKey }) => {
+    const totalChunks = Math.ceil(file.size / UPLOAD_CHUNK_SIZE);
+    const reportProgress = createUploadProgressReporter(file.size, onUploadProgress);
+    const { uploadId, receivedChunks } = await documentService._openUploadSession(file, totalChunks, signal);
+
+    const chunkSize = (index) => Math.min(UPLOAD_CHUNK_SIZE, file.size - index * UPLOAD_CHUNK_SIZE);
+    const uploadChunks = async (indexes) => {
+      let confirmedBytes = file.size - indexes.reduce((sum, index) => sum + chunkSize(index), 0);
+      reportProgress(confirmedBytes);
+
+      for (const index of indexes) {
+        await documentService._uploadChunk(uploadId, file, index, {
+          signal,
+          onChunkProgress: (loaded) => reportProgress(confirmedBytes + loaded)
+        });
+        confirmedBytes += chunkSize(index);
+        reportProgress(confirmedBytes);
+      }
+    };
+
+    const received = new Set(receivedChunks);
+    await uploadChunks(Array.from({ length: totalChunks }, (_, index) => index).filter(index => !received.has(index)));
+
+    // Everything except the file itself goes along with the request that starts the job
+    const fields = Object.fromEntries(Array.from(formData.entries()).filter(([key]) => key !== 'file'));
+    const complete = () => api.post(`/documents/uploads/${uploadId}/complete`, fields, {
+      headers: { 'Idempotency-Key': idempotencyKey },
+      signal
+    });
+
+    let response;
+    try {
+      response = await complete();
+    } catch (error) {
+      // The server refuses to start until every chunk has arrived; send the ones it lost and try once more
+      const missingChunks = error.response?.status === 409 ? error.response.data?.missingChunks : null;
+      if (!missingChunks?.length) throw error;
+
+      console.warn(`⚠️ Server is missing ${missingChunks.length} chunk(s), re-sending them`);
+      await uploadChunks(missingChunks);
+      response = await complete();
+    }
+
+    documentService._setPendingUpload(getFileFingerprint(file), null);
+    return response;
+  },
+
+  /**
+   * Uploads the file and starts its translation. Large files go through the
+   * chunked, resumable upload. Pass an AbortSignal to stop the upload and
+   * onUploadProgress to follow it: ({ loaded, total, percent, bytesPerSecond, isResumed }).
+   *
+   * idempotencyKey identifies this upload attempt: the server creates at most
+   * one job per key, so retrying with the same key cannot start (and bill) a
+   * second job, and a timed-out attempt can be found again by its key.
+   * Callers create it once per file (see createUuid) and send it again on retries.
+   */
+  initiateTranslation: async (formData, { signal, onUploadProgress, idempotencyKey } = {}) => {
     const startTime = Date.now();
     console.log(`🔄 [${new Date().toISOString()}] Initiating document translation...`);
     
@@ -673,39 +1345,48 @@ export const documentService = {
     const fileName = file ? file.name : 'unknown';
     console.log(`📄 Starting translation for file: ${fileName}`);
     
+    // The content hash lets the server and the history recognise this exact file later
+    const fileHash = file ? await hashFile(file) : null;
+    if (fileHash && !formData.has('file_hash')) {
+      formData.append('file_hash', fileHash);
+    }
+    
     try {
-      const response = await api.post('/documents/translate', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        timeout: 60000 // 60 seconds
-      });
+      let response;
+      if (file && file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        console.log(`📦 Large file (${file.size} bytes), uploading in chunks`);
+        response = await documentService._initiateChunkedTranslation(file, formData, { signal, onUploadProgress, idempotencyKey });
+      } else {
+        const reportProgress = createUploadProgressReporter(file ? file.size : 0, onUploadProgress);
+        response = await api.post('/documents/translate', formData, {
+          headers: { 'Content-Type': 'multipart/form-data', 'Idempotency-Key': idempotencyKey },
+          timeout: 60000, // 60 seconds
+          signal,
+          onUploadProgress: (event) => reportProgress(event.loaded)
+        });
+      }
       
       const duration = Date.now() - startTime;
       console.log(`✅ [${new Date().toISOString()}] Translation initiated in ${duration}ms, received processId: ${response.data.processId}`);
       
       // Store in local storage for recovery purposes
-      try {
-        const translationInfo = {
-          processId: response.data.processId,
-          fileName: fileName,
-          timestamp: Date.now(),
-          status: response.data.status || 'pending'
-        };
-        // Keep a history of recent translations for recovery
-        const recentTranslations = JSON.parse(localStorage.getItem('recentTranslations') || '[]');
-        recentTranslations.unshift(translationInfo); // Add to beginning
-        // Keep only last 10
-        if (recentTranslations.length > 10) {
-          recentTranslations.pop();
-        }
-        localStorage.setItem('recentTranslations', JSON.stringify(recentTranslations));
-        console.log("📦 Saved translation info to local storage for recovery");
-      } catch (storageError) {
-        console.warn("⚠️ Failed to save to local storage:", storageError);
-      }
+      documentService._saveRecentTranslation({
+        processId: response.data.processId,
+        fileName: fileName,
+        fromLang: formData.get('from_lang'),
+        toLang: formData.get('to_lang'),
+        fileHash,
+        timestamp: Date.now(),
+        status: response.data.status || 'pending'
+      });
       
       return response.data;
     } catch (error) {
       const duration = Date.now() - startTime;
+      if (axios.isCancel(error)) {
+        console.log(`🛑 Upload of ${fileName} cancelled after ${duration}ms`);
+        throw error;
+      }
       console.error(`❌ [${new Date().toISOString()}] Translation initiation failed after ${duration}ms:`, error);
       
       // For timeouts, try to recover immediately
@@ -717,7 +1398,12 @@ export const documentService = {
           // Give the server a moment to create the record
           await new Promise(resolve => setTimeout(resolve, 1000));
           
-          const foundTranslation = await documentService.findTranslationByFile(fileName);
+          const foundTranslation = await documentService.recoverTranslation({
+            idempotencyKey,
+            fileHash,
+            toLang: formData.get('to_lang'),
+            startedAt: startTime
+          });
           if (foundTranslation) {
             console.log("🔍 Found translation after timeout:", foundTranslation.processId);
             // Return the found translation
@@ -744,12 +1430,199 @@ export const documentService = {
     }
   },
   
+  // Keep the local history in step with finished jobs
+  _syncRecentTranslationStatus: (processId, statusData) => {
+    if (statusData.detectedLanguage) {
+      documentService.updateRecentTranslation(processId, {
+        detectedLanguage: statusData.detectedLanguage
+      });
+    }
+    if (statusData.status === 'completed' || statusData.status === 'failed') {
+      documentService.updateRecentTranslation(processId, {
+        status: statusData.status,
+        totalPages: statusData.totalPages
+      });
+    }
+  },
+
+  // Follow job progress over Server-Sent Events. The stream is read through fetch rather than
+  // EventSource so the auth interceptor can send the token in the Authorization header.
+  // onFallback is called once if the stream cannot be opened or drops, so the caller can poll instead.
+  // Returns a function that closes the stream.
+  subscribeToTranslation: (processId, { onUpdate, onFallback }) => {
+    const controller = new AbortController();
+    let isClosed = false;
+    let openTimeoutId = null;
+
+    const close = () => {
+      isClosed = true;
+      clearTimeout(openTimeoutId);
+      controller.abort();
+    };
+
+    const fallback = (reason) => {
+      if (isClosed) return;
+      close();
+      console.warn(`⚠️ Progress stream unavailable for ${processId} (${reason}), falling back to polling`);
+      onFallback(reason);
+    };
+
+    // One "data:" event of the stream; named events are not progress updates
+    const handleEvent = (block) => {
+      let eventName = 'message';
+      const dataLines = [];
+      block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+      });
+      if (eventName !== 'message' || dataLines.length === 0) return;
+
+      let statusData;
+      try {
+        statusData = JSON.parse(dataLines.join('\n'));
+      } catch (parseError) {
+        console.warn('⚠️ Ignoring malformed progress event:', parseError);
+        return;
+      }
+
+      documentService._updateLastKnownStatus(processId, statusData);
+      documentService._syncRecentTranslationStatus(processId, statusData);
+
+      // The server ends the stream after a final status
+      if (FINISHED_STATUSES.includes(statusData.status)) {
+        close();
+      }
+
+      onUpdate(statusData);
+    };
+
+    const readStream = async () => {
+      // Without a token the stream would be refused, so wait for the auth interceptor first
+      await authReady;
+      if (isClosed) return;
+      if (!authToken) {
+        fallback('not authenticated yet');
+        return;
+      }
+
+      console.log(`🔌 Opening progress stream for process: ${processId}`);
+      const response = await api.get(`/documents/stream/${processId}`, {
+        adapter: 'fetch',
+        responseType: 'stream',
+        headers: { Accept: 'text/event-stream' },
+        signal: controller.signal,
+        timeout: 0
+      });
+      clearTimeout(openTimeoutId);
+      console.log(`✅ Progress stream connected for process: ${processId}`);
+
+      const reader = response.data.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (!isClosed) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          if (!isClosed) handleEvent(block);
+        });
+      }
+
+      fallback('stream ended');
+    };
+
+    if (typeof ReadableStream === 'undefined' || typeof fetch === 'undefined') {
+      setTimeout(() => fallback('streaming not supported'), 0);
+      return close;
+    }
+
+    openTimeoutId = setTimeout(() => fallback('stream did not open in time'), STREAM_OPEN_TIMEOUT);
+    readStream().catch(error => {
+      fallback(error.response?.status === 401 ? 'not authorized' : 'stream error');
+    });
+
+    return close;
+  },
+
+  // Resolve with the final status of a job, using the progress stream when available and polling otherwise.
+  // Aborting the signal (for example when the caller unmounts) closes the stream, stops polling
+  // and rejects with a cancellation error.
+  waitForTranslation: (processId, { onUpdate = () => {}, signal } = {}) => {
+    return new Promise((resolve, reject) => {
+      let closeStream = () => {};
+      let pollTimeoutId = null;
+      let isSettled = false;
+      let failures = 0;
+
+      const finish = (settle, value) => {
+        if (isSettled) return;
+        isSettled = true;
+        closeStream();
+        clearTimeout(pollTimeoutId);
+        signal?.removeEventListener('abort', handleAbort);
+        settle(value);
+      };
+
+      const handleAbort = () => {
+        finish(reject, new axios.CanceledError('Stopped waiting for the translation'));
+      };
+
+      const handleStatus = (statusData) => {
+        if (isSettled) return;
+        onUpdate(statusData);
+        if (FINISHED_STATUSES.includes(statusData.status)) {
+          finish(resolve, statusData);
+        }
+      };
+
+      const poll = async () => {
+        try {
+          const statusData = await documentService.checkTranslationStatus(processId);
+          failures = 0;
+          handleStatus(statusData);
+        } catch (error) {
+          failures += 1;
+          console.warn(`⚠️ Status check failed for ${processId} (${failures}/${MAX_STATUS_FAILURES}):`, error);
+          if (failures >= MAX_STATUS_FAILURES) {
+            finish(reject, new Error('Lost connection to the server. The translation may still be processing in the background.'));
+            return;
+          }
+        }
+        if (!isSettled) {
+          pollTimeoutId = setTimeout(poll, STATUS_POLL_INTERVAL);
+        }
+      };
+
+      if (signal?.aborted) {
+        handleAbort();
+        return;
+      }
+      signal?.addEventListener('abort', handleAbort);
+
+      closeStream = documentService.subscribeToTranslation(processId, {
+        onUpdate: handleStatus,
+        onFallback: () => {
+          if (!isSettled) {
+            pollTimeoutId = setTimeout(poll, STATUS_POLL_INTERVAL);
+          }
+        }
+      });
+    });
+  },
+
   checkTranslationStatus: async (processId) => {
     try {
       // Use a longer timeout for status checks
       const response = await api.get(`/documents/status/${processId}`, {
         timeout: 15000 // 15 seconds timeout
       });
+
+      documentService._syncRecentTranslationStatus(processId, response.data);
+
       return response.data;
     } catch (error) {
       // For network errors or timeouts, don't immediately fail
@@ -769,12 +1642,50 @@ export const documentService = {
     }
   },
   
-  exportToPdf: async (text, fileName) => {
+  // Stop a job on the server. Resolves with how many pages were processed and billed before it stopped.
+  cancelTranslation: async (processId) => {
+    console.log(`🔄 Cancelling translation: ${processId}...`);
+    try {
+      const response = await api.post(`/documents/cancel/${processId}`);
+      console.log('✅ Translation cancelled:', response.data);
+      
+      const cancellation = {
+        processId,
+        status: response.data.status || 'cancelled',
+        pagesProcessed: response.data.pagesProcessed ?? 0,
+        pagesBilled: response.data.pagesBilled ?? response.data.pagesProcessed ?? 0,
+        totalPages: response.data.totalPages ?? 0
+      };
+      
+      documentService._updateLastKnownStatus(processId, { processId, status: cancellation.status });
+      documentService.updateRecentTranslation(processId, {
+        status: cancellation.status,
+        totalPages: cancellation.totalPages
+      });
+      // Billed pages change the balance
+      balanceService.invalidateCache();
+      
+      return cancellation;
+    } catch (error) {
+      console.error('❌ Failed to cancel translation:', error);
+      if (error.response?.status === 409) {
+        throw error.response?.data?.error || 'The translation has already finished and can no longer be cancelled.';
+      }
+      throw error.response?.data?.error || 'Failed to cancel translation.';
+    }
+  },
+  
+  // Resolves to a Blob of the exported file; onDownloadProgress receives { loaded, total, percent }
+  exportToPdf: async (text, fileName, { onDownloadProgress } = {}) => {
     console.log(`🔄 Exporting document to PDF: ${fileName}...`);
+    const requestConfig = {
+      responseType: 'blob',
+      onDownloadProgress: createDownloadProgressHandler(onDownloadProgress)
+    };
     try {
-      const response = await api.post('/export/pdf', { text, fileName });
+      const response = await api.post('/export/pdf', { text, fileName }, requestConfig);
       console.log('✅ PDF exported successfully');
-      return response.data;
+      return await toExportBlob('pdf', response.data);
     } catch (error) {
       console.error('❌ PDF export failed:', error);
       
@@ -784,23 +1695,28 @@ export const documentService = {
           return await documentService._handleAuthError(
             error, 
             'exportPdf', 
-            () => api.post('/export/pdf', { text, fileName })
-          ).then(response => response.data);
+            () => api.post('/export/pdf', { text, fileName }, requestConfig)
+          ).then(response => toExportBlob('pdf', response.data));
         } catch (retryError) {
           // If retry fails, continue with normal error handling
         }
       }
       
-      throw error.response?.data?.error || 'Export to PDF failed.';
+      throw (await getBlobErrorMessage(error)) || 'Export to PDF failed.';
     }
   },
 
-  exportToDocx: async (text, fileName) => {
+  // Resolves to a Blob of the exported file; onDownloadProgress receives { loaded, total, percent }
+  exportToDocx: async (text, fileName, { onDownloadProgress } = {}) => {
     console.log(`🔄 Exporting document to DOCX: ${fileName}...`);
+    const requestConfig = {
+      responseType: 'blob',
+      onDownloadProgress: createDownloadProgressHandler(onDownloadProgress)
+    };
     try {
-      const response = await api.post('/export/docx', { text, fileName });
+      const response = await api.post('/export/docx', { text, fileName }, requestConfig);
       console.log('✅ DOCX exported successfully');
-      return response.data;
+      return await toExportBlob('docx', response.data);
     } catch (error) {
       console.error('❌ DOCX export failed:', error);
       
@@ -810,14 +1726,14 @@ export const documentService = {
           return await documentService._handleAuthError(
             error, 
             'exportDocx', 
-            () => api.post('/export/docx', { text, fileName })
-          ).then(response => response.data);
+            () => api.post('/export/docx', { text, fileName }, requestConfig)
+          ).then(response => toExportBlob('docx', response.data));
         } catch (retryError) {
           // If retry fails, continue with normal error handling
         }
       }
       
-      throw error.response?.data?.error || 'Export to DOCX failed.';
+      throw (await getBlobErrorMessage(error)) || 'Export to DOCX failed.';
     }
   },
 
@@ -902,7 +1818,14 @@ export const documentService = {
           currentPage: response.data.metadata?.currentPage || 0,
           totalPages: response.data.metadata?.totalPages || 0
         });
-        
+
+        if (!allowPartial) {
+          documentService.updateRecentTranslation(processId, {
+            status: 'completed',
+            totalPages: response.data.metadata?.totalPages || 0
+          });
+        }
+
         return response.data;
       } catch (error) {
         // Clear timeout
@@ -945,7 +1868,11 @@ export const documentService = {
         // Remove this request from the active requests map
         documentService._activeRequests.delete(requestKey);
       }
-    })();
+    })().then(result => ({
+      // Every consumer (preview, export, Drive upload) reads the sanitized copy, including after an auth retry
+      ...result,
+      translatedText: sanitizeHtml(result.translatedText)
+    }));
     
     // Store the promise in the active requests map
     documentService._activeRequests.set(requestKey, requestPromise);
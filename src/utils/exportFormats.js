@@ -0,0 +1,528 @@
+// Client-side converters from the translated HTML to Markdown, clean HTML, plain text and ODT.
+// Unlike PDF and DOCX these need no export service, so they keep working when it is down.
+// Also builds the side-by-side bilingual layout that the PDF/DOCX export renders.
+import { sanitizeHtml } from './sanitizeHtml';
+import { EXPORT_MIME_TYPES } from './fileDownload';
+
+const BLOCK_TAGS = new Set([
+  'BLOCKQUOTE', 'CENTER', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'HR', 'LI', 'OL', 'P', 'PRE', 'TABLE', 'UL'
+]);
+
+const isElement = (node) => node.nodeType === Node.ELEMENT_NODE;
+
+const parseTranslation = (html) => {
+  return new DOMParser().parseFromString(sanitizeHtml(html || ''), 'text/html').body;
+};
+
+/**
+ * Splits an element's children into block elements and runs of inline
+ * content, so loose text between blocks still becomes its own paragraph.
+ */
+const getBlocks = (element) => {
+  const blocks = [];
+  let inlineRun = [];
+
+  const flush = () => {
+    if (inlineRun.length > 0) {
+      blocks.push({ inline: inlineRun });
+      inlineRun = [];
+    }
+  };
+
+  element.childNodes.forEach(child => {
+    if (isElement(child) && BLOCK_TAGS.has(child.tagName)) {
+      flush();
+      blocks.push({ element: child });
+    } else {
+      inlineRun.push(child);
+    }
+  });
+  flush();
+  return blocks;
+};
+
+const getTableRows = (table) => {
+  return Array.from(table.querySelectorAll('tr'))
+    .filter(row => row.closest('table') === table)
+    .map(row => Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH'));
+};
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+// --- Markdown ---
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]|])/g, '\\$1');
+
+// Angle brackets allow spaces and parentheses in link targets; only what would end them is encoded
+const markdownUrl = (url) => `<${url.replace(/[<>\\\s]/g, character => encodeURIComponent(character))}>`;
+
+// Code is fenced with more backticks than it contains, so the backticks inside stay literal
+const markdownFence = (text, minLength) => {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(minLength, longestRun + 1));
+};
+
+const markdownCode = (text) => {
+  const fence = markdownFence(text, 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+};
+
+const markdownInline = (nodes) => {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return escapeMarkdown(collapseWhitespace(node.textContent));
+    if (!isElement(node)) return '';
+
+    const content = markdownInline(Array.from(node.childNodes));
+    switch (node.tagName) {
+      case 'BR': return '  \n';
+      case 'STRONG':
+      case 'B': return content.trim() ? `**${content.trim()}**` : content;
+      case 'EM':
+      case 'I': return content.trim() ? `_${content.trim()}_` : content;
+      case 'S':
+      case 'DEL':
+      case 'STRIKE': return content.trim() ? `~~${content.trim()}~~` : content;
+      case 'CODE': return markdownCode(node.textContent);
+      case 'A': return node.getAttribute('href') ? `[${content}](${markdownUrl(node.getAttribute('href'))})` : content;
+      case 'IMG': return node.getAttribute('src') ? `![${escapeMarkdown(collapseWhitespace(node.getAttribute('alt') || ''))}](${markdownUrl(node.getAttribute('src'))})` : '';
+      default: return content;
+    }
+  }).join('');
+};
+
+const markdownList = (list, indent) => {
+  return Array.from(list.children)
+    .filter(item => item.tagName === 'LI')
+    .map((item, index) => {
+      const marker = list.tagName === 'OL' ? `${index + 1}. ` : '- ';
+      const nested = Array.from(item.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+      const text = markdownInline(Array.from(item.childNodes).filter(child => !nested.includes(child))).trim();
+      const nestedText = nested.map(child => markdownList(child, indent + ' '.repeat(marker.length)));
+      return [`${indent}${marker}${text}`, ...nestedText].join('\n');
+    })
+    .join('\n');
+};
+
+const markdownTable = (table) => {
+  const rows = getTableRows(table).map(cells => cells.map(cell => markdownInline(Array.from(cell.childNodes)).trim().replace(/\n/g, ' ')));
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const pad = (row) => [...row, ...Array(columnCount - row.length).fill('')];
+  const [header, ...body] = rows.map(pad);
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+};
+
+const markdownBlocks = (element) => {
+  return getBlocks(element).flatMap(block => {
+    if (block.inline) {
+      const text = markdownInline(block.inline).trim();
+      return text ? [text] : [];
+    }
+
+    const node = block.element;
+    switch (node.tagName) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        return [`${'#'.repeat(Number(node.tagName[1]))} ${markdownInline(Array.from(node.childNodes)).trim()}`];
+      case 'UL':
+      case 'OL':
+        return [markdownList(node, '')];
+      case 'TABLE':
+        return [markdownTable(node)];
+      case 'BLOCKQUOTE':
+        return [markdownBlocks(node).join('\n\n').split('\n').map(line => `> ${line}`).join('\n')];
+      case 'PRE': {
+        const code = node.textContent.replace(/\n$/, '');
+        const fence = markdownFence(code, 3);
+        return [`${fence}\n${code}\n${fence}`];
+      }
+      case 'HR':
+        return ['---'];
+      default:
+        return markdownBlocks(node);
+    }
+  });
+};
+
+export const htmlToMarkdown = (html) => {
+  return markdownBlocks(parseTranslation(html)).filter(Boolean).join('\n\n') + '\n';
+};
+
+// --- Plain text ---
+
+const textInline = (nodes) => {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return collapseWhitespace(node.textContent);
+    if (!isElement(node)) return '';
+    if (node.tagName === 'BR') return '\n';
+    if (node.tagName === 'IMG') return node.getAttribute('alt') ? `[${node.getAttribute('alt')}]` : '';
+    return textInline(Array.from(node.childNodes));
+  }).join('');
+};
+
+const textList = (list, indent) => {
+  return Array.from(list.children)
+    .filter(item => item.tagName === 'LI')
+    .map((item, index) => {
+      const marker = list.tagName === 'OL' ? `${index + 1}. ` : '- ';
+      const nested = Array.from(item.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+      const text = textInline(Array.from(item.childNodes).filter(child => !nested.includes(child))).trim();
+      return [`${indent}${marker}${text}`, ...nested.map(child => textList(child, `${indent}  `))].join('\n');
+    })
+    .join('\n');
+};
+
+const textBlocks = (element) => {
+  return getBlocks(element).flatMap(block => {
+    if (block.inline) {
+      const text = textInline(block.inline).trim();
+      return text ? [text] : [];
+    }
+
+    const node = block.element;
+    switch (node.tagName) {
+      case 'UL':
+      case 'OL':
+        return [textList(node, '')];
+      case 'TABLE':
+        // Tab-separated so rows paste cleanly into spreadsheets and scripts
+        return [getTableRows(node).map(cells => cells.map(cell => textInline(Array.from(cell.childNodes)).trim()).join('\t')).join('\n')];
+      case 'PRE':
+        return [node.textContent.replace(/\n$/, '')];
+      case 'HR':
+        return [];
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+      case 'P':
+        return [textInline(Array.from(node.childNodes)).trim()];
+      default:
+        return textBlocks(node);
+    }
+  });
+};
+
+export const htmlToPlainText = (html) => {
+  return textBlocks(parseTranslation(html)).filter(Boolean).join('\n\n') + '\n';
+};
+
+// --- Clean HTML ---
+
+// Presentational leftovers from OCR/translation and link behaviour that CMS imports should not inherit
+const PRESENTATIONAL_ATTRIBUTES = [
+  'class', 'style', 'align', 'border', 'cellpadding', 'cellspacing', 'color', 'face',
+  'width', 'height', 'data-page', 'target', 'rel'
+];
+const UNWRAPPED_TAGS = ['SPAN', 'FONT', 'CENTER'];
+
+const escapeHtml = (text) => {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+export const htmlToCleanHtml = (html, { title = 'Translation', language = '', direction = 'ltr' } = {}) => {
+  const body = parseTranslation(html);
+
+  body.querySelectorAll('*').forEach(element => {
+    PRESENTATIONAL_ATTRIBUTES.forEach(attribute => element.removeAttribute(attribute));
+  });
+  body.querySelectorAll(UNWRAPPED_TAGS.join(',')).forEach(element => {
+    if (element.attributes.length === 0) element.replaceWith(...element.childNodes);
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(language)}" dir="${direction}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    body.innerHTML.trim(),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+// --- OpenDocument Text ---
+
+const ODT_MIME_TYPE = EXPORT_MIME_TYPES.odt;
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0
+const isXmlCharacter = (character) => {
+  const code = character.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+const escapeXml = (text) => {
+  return Array.from(String(text))
+    .filter(isXmlCharacter)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const INLINE_STYLES = {
+  STRONG: 'Bold', B: 'Bold',
+  EM: 'Italic', I: 'Italic',
+  U: 'Underline', INS: 'Underline',
+  S: 'Strike', DEL: 'Strike', STRIKE: 'Strike',
+  SUB: 'Subscript', SUP: 'Superscript'
+};
+
+const odtInline = (nodes) => {
+  return nodes.map(node => {
+    if (node.nodeType === Node.TEXT_NODE) return escapeXml(collapseWhitespace(node.textContent));
+    if (!isElement(node)) return '';
+
+    const content = odtInline(Array.from(node.childNodes));
+    if (node.tagName === 'BR') return '<text:line-break/>';
+    if (node.tagName === 'IMG') return node.getAttribute('alt') ? `[${escapeXml(node.getAttribute('alt'))}]` : '';
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+      return `<text:a xlink:type="simple" xlink:href="${escapeXml(node.getAttribute('href'))}">${content}</text:a>`;
+    }
+    if (INLINE_STYLES[node.tagName]) {
+      return `<text:span text:style-name="${INLINE_STYLES[node.tagName]}">${content}</text:span>`;
+    }
+    return content;
+  }).join('');
+};
+
+const odtParagraph = (nodes, styleName = 'Standard') => {
+  const content = odtInline(nodes).trim();
+  return content ? `<text:p text:style-name="${styleName}">${content}</text:p>` : '';
+};
+
+const odtList = (list) => {
+  const items = Array.from(list.children)
+    .filter(item => item.tagName === 'LI')
+    .map(item => {
+      const nested = Array.from(item.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+      const text = odtInline(Array.from(item.childNodes).filter(child => !nested.includes(child))).trim();
+      return `<text:list-item><text:p text:style-name="Standard">${text}</text:p>${nested.map(odtList).join('')}</text:list-item>`;
+    });
+  const styleName = list.tagName === 'OL' ? 'NumberedList' : 'BulletList';
+  return `<text:list text:style-name="${styleName}">${items.join('')}</text:list>`;
+};
+
+let odtTableCount = 0;
+
+const odtTable = (table) => {
+  const rows = getTableRows(table);
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  const rowXml = rows.map(cells => {
+    const cellXml = cells.map(cell => `<table:table-cell office:value-type="string">${odtParagraph(Array.from(cell.childNodes)) || '<text:p/>'}</table:table-cell>`);
+    const padding = Array(columnCount - cells.length).fill('<table:table-cell><text:p/></table:table-cell>');
+    return `<table:table-row>${[...cellXml, ...padding].join('')}</table:table-row>`;
+  });
+
+  odtTableCount += 1;
+  return `<table:table table:name="Table${odtTableCount}" table:style-name="Table"><table:table-column table:number-columns-repeated="${columnCount}"/>${rowXml.join('')}</table:table>`;
+};
+
+// Preformatted text keeps its spaces and line breaks, which ODF would otherwise collapse
+const odtPreformatted = (node) => {
+  const content = node.textContent.replace(/\n$/, '').split('\n')
+    .map(line => escapeXml(line).replace(/ {2,}/g, spaces => ` <text:s text:c="${spaces.length - 1}"/>`))
+    .join('<text:line-break/>');
+  return `<text:p text:style-name="Preformatted_20_Text">${content}</text:p>`;
+};
+
+const odtBlocks = (element, paragraphStyle = 'Standard') => {
+  return getBlocks(element).map(block => {
+    if (block.inline) return odtParagraph(block.inline, paragraphStyle);
+
+    const node = block.element;
+    switch (node.tagName) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+        const level = node.tagName[1];
+        return `<text:h text:style-name="Heading_20_${level}" text:outline-level="${level}">${odtInline(Array.from(node.childNodes)).trim()}</text:h>`;
+      }
+      case 'P':
+        return odtParagraph(Array.from(node.childNodes), paragraphStyle);
+      case 'UL':
+      case 'OL':
+        return odtList(node);
+      case 'TABLE':
+        return odtTable(node);
+      case 'BLOCKQUOTE':
+        return odtBlocks(node, 'Quotations');
+      case 'PRE':
+        return odtPreformatted(node);
+      case 'HR':
+        return '<text:p text:style-name="Standard"/>';
+      default:
+        return odtBlocks(node, paragraphStyle);
+    }
+  }).join('');
+};
+
+const ODT_NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:xlink="http://www.w3.org/1999/xlink"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"',
+  'office:version="1.2"'
+].join(' ');
+
+const HEADING_SIZES = { 1: '20pt', 2: '16pt', 3: '14pt', 4: '13pt', 5: '12pt', 6: '11pt' };
+
+const buildOdtStyles = (direction) => {
+  const writingMode = direction === 'rtl' ? 'rl-tb' : 'lr-tb';
+  const textAlign = direction === 'rtl' ? 'end' : 'start';
+  const headingStyles = Object.entries(HEADING_SIZES).map(([level, size]) => (
+    `<style:style style:name="Heading_20_${level}" style:display-name="Heading ${level}" style:family="paragraph" style:parent-style-name="Standard" style:default-outline-level="${level}">` +
+    '<style:paragraph-properties fo:margin-top="0.17in" fo:margin-bottom="0.08in" fo:keep-with-next="always"/>' +
+    `<style:text-properties fo:font-size="${size}" fo:font-weight="bold"/></style:style>`
+  )).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<office:document-styles ${ODT_NAMESPACES}><office:styles>` +
+    `<style:default-style style:family="paragraph"><style:paragraph-properties style:writing-mode="${writingMode}" fo:text-align="${textAlign}"/>` +
+    '<style:text-properties fo:font-size="11pt"/></style:default-style>' +
+    '<style:style style:name="Standard" style:family="paragraph"><style:paragraph-properties fo:margin-bottom="0.08in"/></style:style>' +
+    headingStyles +
+    '<style:style style:name="Quotations" style:family="paragraph" style:parent-style-name="Standard"><style:paragraph-properties fo:margin-left="0.4in" fo:margin-right="0.4in"/><style:text-properties fo:font-style="italic"/></style:style>' +
+    '<style:style style:name="Preformatted_20_Text" style:display-name="Preformatted Text" style:family="paragraph" style:parent-style-name="Standard"><style:text-properties style:font-name="Courier New" fo:font-family="\'Courier New\'" fo:font-size="10pt"/></style:style>' +
+    '</office:styles></office:document-styles>';
+};
+
+const LIST_LEVEL_PROPERTIES = '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment"><style:list-level-label-alignment text:label-followed-by="listtab" fo:text-indent="-0.25in" fo:margin-left="0.5in"/></style:list-level-properties>';
+
+const ODT_AUTOMATIC_STYLES = '<office:automatic-styles>' +
+  '<style:style style:name="Bold" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style>' +
+  '<style:style style:name="Italic" style:family="text"><style:text-properties fo:font-style="italic"/></style:style>' +
+  '<style:style style:name="Underline" style:family="text"><style:text-properties style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"/></style:style>' +
+  '<style:style style:name="Strike" style:family="text"><style:text-properties style:text-line-through-style="solid"/></style:style>' +
+  '<style:style style:name="Subscript" style:family="text"><style:text-properties style:text-position="sub 58%"/></style:style>' +
+  '<style:style style:name="Superscript" style:family="text"><style:text-properties style:text-position="super 58%"/></style:style>' +
+  '<style:style style:name="Table" style:family="table"><style:table-properties table:border-model="collapsing"/></style:style>' +
+  `<text:list-style style:name="BulletList"><text:list-level-style-bullet text:level="1" text:bullet-char="•">${LIST_LEVEL_PROPERTIES}</text:list-level-style-bullet></text:list-style>` +
+  `<text:list-style style:name="NumberedList"><text:list-level-style-number text:level="1" style:num-suffix="." style:num-format="1">${LIST_LEVEL_PROPERTIES}</text:list-level-style-number></text:list-style>` +
+  '</office:automatic-styles>';
+
+/**
+ * Builds an OpenDocument Text file from the translated HTML: headings,
+ * paragraphs, emphasis, links, lists, tables and preformatted blocks.
+ */
+export const htmlToOdt = async (html, { title = 'Translation', language = '', direction = 'ltr' } = {}) => {
+  const { zipSync, strToU8 } = await import('fflate');
+  odtTableCount = 0;
+
+  const content = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<office:document-content ${ODT_NAMESPACES}>${ODT_AUTOMATIC_STYLES}` +
+    `<office:body><office:text>${odtBlocks(parseTranslation(html)) || '<text:p/>'}</office:text></office:body>` +
+    '</office:document-content>';
+
+  const meta = '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<office:document-meta ${ODT_NAMESPACES}><office:meta>` +
+    `<dc:title>${escapeXml(title)}</dc:title>` +
+    (language ? `<dc:language>${escapeXml(language)}</dc:language>` : '') +
+    `<meta:creation-date>${new Date().toISOString().split('.')[0]}</meta:creation-date>` +
+    '</office:meta></office:document-meta>';
+
+  const manifest = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+    `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${ODT_MIME_TYPE}"/>` +
+    '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+    '<manifest:file-entry manifest:full-path="styles.xml" manifest:media-type="text/xml"/>' +
+    '<manifest:file-entry manifest:full-path="meta.xml" manifest:media-type="text/xml"/>' +
+    '</manifest:manifest>';
+
+  // The mimetype entry must come first and be stored uncompressed
+  const zipped = zipSync({
+    mimetype: [strToU8(ODT_MIME_TYPE), { level: 0 }],
+    'META-INF/manifest.xml': strToU8(manifest),
+    'content.xml': strToU8(content),
+    'styles.xml': strToU8(buildOdtStyles(direction)),
+    'meta.xml': strToU8(meta)
+  }, { level: 6 });
+
+  return new Blob([zipped], { type: ODT_MIME_TYPE });
+};
+
+// --- Bilingual layout ---
+
+// Containers whose children are paired individually rather than as one block
+const CONTAINER_TAGS = new Set(['DIV', 'CENTER', 'FIGURE']);
+
+const serializeNodes = (nodes) => {
+  const wrapper = document.createElement('div');
+  nodes.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+  return wrapper.innerHTML.trim();
+};
+
+// Paragraph-level pieces of a document (headings, paragraphs, lists, tables...) in reading order
+const splitIntoParagraphs = (element) => {
+  return getBlocks(element).flatMap(block => {
+    if (block.inline) {
+      const html = serializeNodes(block.inline);
+      return html && block.inline.some(node => node.textContent.trim() || node.nodeName === 'IMG') ? [`<p>${html}</p>`] : [];
+    }
+    if (CONTAINER_TAGS.has(block.element.tagName)) {
+      return splitIntoParagraphs(block.element);
+    }
+    return block.element.textContent.trim() ? [block.element.outerHTML] : [];
+  });
+};
+
+const bilingualCell = (html, direction) => {
+  const align = direction === 'rtl' ? 'right' : 'left';
+  return `<td dir="${direction}" style="width: 50%; vertical-align: top; text-align: ${align}; padding: 6px 8px; border: 1px solid #d1d5db;">${html}</td>`;
+};
+
+/**
+ * Two-column table pairing the source text with its translation paragraph by
+ * paragraph, for the server's PDF/DOCX export. Each column carries its own
+ * direction; when one side has more paragraphs the other column stays empty.
+ */
+export const buildBilingualHtml = (sourceHtml, translatedHtml, {
+  sourceLabel = 'Original',
+  targetLabel = 'Translation',
+  sourceDirection = 'ltr',
+  targetDirection = 'ltr'
+} = {}) => {
+  const sourceParagraphs = splitIntoParagraphs(parseTranslation(sourceHtml));
+  const targetParagraphs = splitIntoParagraphs(parseTranslation(translatedHtml));
+  const rowCount = Math.max(sourceParagraphs.length, targetParagraphs.length);
+
+  const header = `<tr>${[[sourceLabel, sourceDirection], [targetLabel, targetDirection]].map(([label, direction]) => (
+    `<th dir="${direction}" style="width: 50%; text-align: ${direction === 'rtl' ? 'right' : 'left'}; padding: 6px 8px; border: 1px solid #d1d5db; background: #f3f4f6;">${escapeHtml(label)}</th>`
+  )).join('')}</tr>`;
+
+  const rows = Array.from({ length: rowCount }, (_, index) => (
+    `<tr>${bilingualCell(sourceParagraphs[index] || '', sourceDirection)}${bilingualCell(targetParagraphs[index] || '', targetDirection)}</tr>`
+  ));
+
+  return `<table style="width: 100%; border-collapse: collapse; table-layout: fixed;"><thead>${header}</thead><tbody>${rows.join('')}</tbody></table>`;
+};
+
+// Formats produced in the browser; PDF and DOCX still come from the export service
+export const CLIENT_EXPORT_FORMATS = {
+  md: htmlToMarkdown,
+  html: htmlToCleanHtml,
+  txt: htmlToPlainText,
+  odt: htmlToOdt
+};
+
+export const isClientExportFormat = (type) => Object.hasOwn(CLIENT_EXPORT_FORMATS, type);
+
+// Converts the translated HTML into a downloadable Blob of the given client-side format
+export const createClientExport = async (type, html, options = {}) => {
+  const result = await CLIENT_EXPORT_FORMATS[type](html, options);
+  return result instanceof Blob
+    ? result
+    : new Blob([result], { type: `${EXPORT_MIME_TYPES[type]};charset=utf-8` });
+};
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import { unzipSync, strFromU8 } from 'fflate';
+import { htmlToMarkdown, htmlToPlainText, htmlToCleanHtml, htmlToOdt, buildBilingualHtml } from './exportFormats';
+
+// jsdom's Blob has no arrayBuffer()
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('htmlToMarkdown', () => {
+  it('wraps link targets so spaces and parentheses do not end them', () => {
+    expect(htmlToMarkdown('<p><a href="https://example.com/a b)(c">link</a></p>'))
+      .toBe('[link](<https://example.com/a%20b)(c>)\n');
+  });
+
+  it('encodes characters that would close the link target', () => {
+    expect(htmlToMarkdown('<p><a href="https://example.com/<x>\\">link</a></p>'))
+      .toBe('[link](<https://example.com/%3Cx%3E%5C>)\n');
+  });
+
+  it('escapes brackets in link text and image descriptions', () => {
+    expect(htmlToMarkdown('<p><a href="/page">see [1]</a> <img alt="chart ]" src="chart.png"></p>'))
+      .toBe('[see \\[1\\]](</page>) ![chart \\]](<chart.png>)\n');
+  });
+
+  it('fences inline code with more backticks than it contains', () => {
+    expect(htmlToMarkdown('<p>Run <code>a`b</code> or <code>`x</code></p>'))
+      .toBe('Run ``a`b`` or `` `x ``\n');
+  });
+
+  it('fences code blocks that contain a fence', () => {
+    expect(htmlToMarkdown('<pre>```js\ncode\n```</pre>'))
+      .toBe('````\n```js\ncode\n```\n````\n');
+  });
+});
+
+describe('htmlToPlainText', () => {
+  it('separates blocks with blank lines and keeps line breaks', () => {
+    expect(htmlToPlainText('<h1>Title</h1><p>One<br>two <img alt="logo" src="logo.png"></p><hr><p>End</p>'))
+      .toBe('Title\n\nOne\ntwo [logo]\n\nEnd\n');
+  });
+
+  it('indents nested lists and numbers ordered ones', () => {
+    expect(htmlToPlainText('<ul><li>A<ul><li>B</li></ul></li></ul><ol><li>One</li><li>Two</li></ol>'))
+      .toBe('- A\n  - B\n\n1. One\n2. Two\n');
+  });
+
+  it('writes tables as tab-separated rows', () => {
+    expect(htmlToPlainText('<table><tr><th>Name</th><th>Qty</th></tr><tr><td>Apple</td><td>2</td></tr></table>'))
+      .toBe('Name\tQty\nApple\t2\n');
+  });
+
+  it('keeps spacing inside preformatted text', () => {
+    expect(htmlToPlainText('<pre>a  b\n  c\n</pre>')).toBe('a  b\n  c\n');
+  });
+});
+
+describe('htmlToCleanHtml', () => {
+  it('drops presentational attributes and unwraps bare spans', () => {
+    const html = htmlToCleanHtml('<p style="color: red" data-page="1"><span>Hi</span> <a href="https://example.com" target="_blank">link</a></p>');
+    expect(html).toContain('<body>\n<p>Hi <a href="https://example.com">link</a></p>\n</body>');
+  });
+
+  it('escapes the title and sets language and direction', () => {
+    const html = htmlToCleanHtml('<p>Text</p>', { title: 'A & <B>', language: 'ar', direction: 'rtl' });
+    expect(html).toContain('<html lang="ar" dir="rtl">');
+    expect(html).toContain('<title>A &amp; &lt;B&gt;</title>');
+  });
+});
+
+describe('htmlToOdt', () => {
+  const readOdt = async (html, options) => {
+    const blob = await htmlToOdt(html, options);
+    const bytes = await readBlob(blob);
+    return { blob, bytes, files: unzipSync(bytes) };
+  };
+
+  const parseXml = (file) => new DOMParser().parseFromString(strFromU8(file), 'application/xml');
+
+  it('stores the mimetype entry first and uncompressed', async () => {
+    const { blob, bytes, files } = await readOdt('<p>Text</p>');
+    expect(blob.type).toBe('application/vnd.oasis.opendocument.text');
+    expect(Object.keys(files)).toEqual(['mimetype', 'META-INF/manifest.xml', 'content.xml', 'styles.xml', 'meta.xml']);
+    // The file name of the first local header starts at byte 30, followed directly by its stored data
+    expect(strFromU8(bytes.slice(30, 38 + blob.type.length))).toBe(`mimetype${blob.type}`);
+  });
+
+  it('maps headings, emphasis, lists and tables to ODF elements', async () => {
+    const { files } = await readOdt('<h2>Terms</h2><p>Read <strong>this</strong></p><ul><li>Item</li></ul><table><tr><td>Cell</td></tr></table>');
+    const content = parseXml(files['content.xml']);
+    expect(content.querySelector('parsererror')).toBeNull();
+
+    const text = content.getElementsByTagName('office:text')[0];
+    expect(Array.from(text.children).map(child => child.tagName)).toEqual(['text:h', 'text:p', 'text:list', 'table:table']);
+    expect(text.children[0].getAttribute('text:outline-level')).toBe('2');
+    expect(content.getElementsByTagName('text:span')[0].getAttribute('text:style-name')).toBe('Bold');
+    expect(content.getElementsByTagName('table:table-cell')[0].textContent).toBe('Cell');
+  });
+
+  it('escapes markup characters in text', async () => {
+    const { files } = await readOdt('<p>a &lt;b&gt; &amp; "c"</p>');
+    expect(strFromU8(files['content.xml'])).toContain('a &lt;b&gt; &amp; &quot;c&quot;');
+    expect(parseXml(files['content.xml']).getElementsByTagName('text:p')[0].textContent).toBe('a <b> & "c"');
+  });
+
+  it('removes control characters XML does not allow', async () => {
+    const { files } = await readOdt('<p>a\u0001b\u0008c</p>', { title: 'Report\u0000\u000b & notes\tv2', language: 'de' });
+    expect(parseXml(files['content.xml']).getElementsByTagName('text:p')[0].textContent).toBe('abc');
+
+    const meta = parseXml(files['meta.xml']);
+    expect(meta.querySelector('parsererror')).toBeNull();
+    expect(meta.getElementsByTagName('dc:title')[0].textContent).toBe('Report & notes\tv2');
+    expect(meta.getElementsByTagName('dc:language')[0].textContent).toBe('de');
+  });
+
+  it('sets the writing direction in the default style', async () => {
+    const { files } = await readOdt('<p>نص</p>', { direction: 'rtl' });
+    expect(strFromU8(files['styles.xml'])).toContain('style:writing-mode="rl-tb"');
+  });
+});
+
+describe('buildBilingualHtml', () => {
+  const parseRows = (html) => {
+    const table = new DOMParser().parseFromString(html, 'text/html').querySelector('table');
+    return Array.from(table.querySelectorAll('tbody tr')).map(row => Array.from(row.children));
+  };
+
+  it('pairs source and translation paragraph by paragraph', () => {
+    const rows = parseRows(buildBilingualHtml('<h1>Titel</h1><p>Eins</p><ul><li>Punkt</li></ul>', '<h1>Title</h1><p>One</p><ul><li>Item</li></ul>'));
+    expect(rows.map(cells => cells.map(cell => cell.innerHTML))).toEqual([
+      ['<h1>Titel</h1>', '<h1>Title</h1>'],
+      ['<p>Eins</p>', '<p>One</p>'],
+      ['<ul><li>Punkt</li></ul>', '<ul><li>Item</li></ul>']
+    ]);
+  });
+
+  it('splits container elements and wraps loose text in paragraphs', () => {
+    const rows = parseRows(buildBilingualHtml('<div><p>A</p><p>B</p></div>Loose', '<p>A</p><p>B</p><p>Loose</p>'));
+    expect(rows.map(cells => cells[0].innerHTML)).toEqual(['<p>A</p>', '<p>B</p>', '<p>Loose</p>']);
+  });
+
+  it('skips empty paragraphs', () => {
+    const rows = parseRows(buildBilingualHtml('<p>A</p><p> </p><p>B</p>', '<p>A</p><p>B</p>'));
+    expect(rows).toHaveLength(2);
+  });
+
+  it('leaves the shorter side empty when paragraph counts differ', () => {
+    const rows = parseRows(buildBilingualHtml('<p>A</p>', '<p>One</p><p>Two</p><p>Three</p>'));
+    expect(rows.map(cells => cells.map(cell => cell.textContent))).toEqual([
+      ['A', 'One'],
+      ['', 'Two'],
+      ['', 'Three']
+    ]);
+  });
+
+  it('sets direction and alignment per column', () => {
+    const html = buildBilingualHtml('<p>Hello</p>', '<p>مرحبا</p>', { sourceDirection: 'ltr', targetDirection: 'rtl' });
+    const [[source, target]] = parseRows(html);
+    expect(source.getAttribute('dir')).toBe('ltr');
+    expect(source.style.textAlign).toBe('left');
+    expect(target.getAttribute('dir')).toBe('rtl');
+    expect(target.style.textAlign).toBe('right');
+
+    const headers = new DOMParser().parseFromString(html, 'text/html').querySelectorAll('th');
+    expect(Array.from(headers).map(header => header.getAttribute('dir'))).toEqual(['ltr', 'rtl']);
+  });
+
+  it('escapes column labels', () => {
+    const html = buildBilingualHtml('<p>A</p>', '<p>B</p>', { sourceLabel: 'Deutsch <de>', targetLabel: 'English & more' });
+    const headers = new DOMParser().parseFromString(html, 'text/html').querySelectorAll('th');
+    expect(Array.from(headers).map(header => header.textContent)).toEqual(['Deutsch <de>', 'English & more']);
+  });
+});
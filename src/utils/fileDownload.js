@@ -0,0 +1,27 @@
+export const EXPORT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  md: 'text/markdown',
+  html: 'text/html',
+  txt: 'text/plain',
+  odt: 'application/vnd.oasis.opendocument.text'
+};
+
+// Save a Blob through a temporary object URL
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const downloadLink = document.createElement('a');
+  downloadLink.href = url;
+  downloadLink.download = fileName;
+  downloadLink.click();
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Bundle several files ({ fileName: Uint8Array }) into one ZIP download
+export const downloadZip = async (files, zipName) => {
+  const { zipSync } = await import('fflate');
+  const zipped = zipSync(files, { level: 6 });
+  downloadBlob(new Blob([zipped], { type: 'application/zip' }), zipName);
+};
+
@@ -0,0 +1,26 @@
+// Hashes are cached per File object so the duplicate check and the upload hash the file only once
+const hashCache = new WeakMap();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Hex SHA-256 of the file contents, identifying the exact file regardless of
+ * its name. Resolves to null where Web Crypto is unavailable (non-HTTPS pages).
+ */
+export const hashFile = (file) => {
+  if (!globalThis.crypto?.subtle) {
+    return Promise.resolve(null);
+  }
+
+  if (!hashCache.has(file)) {
+    const hashPromise = file.arrayBuffer()
+      .then(buffer => crypto.subtle.digest('SHA-256', buffer))
+      .then(toHex)
+      .catch(error => {
+        console.error(`Failed to hash ${file.name}:`, error);
+        return null;
+      });
+    hashCache.set(file, hashPromise);
+  }
+  return hashCache.get(file);
+};
@@ -0,0 +1,100 @@
+// Default pattern for exported files, e.g. contract_de-en_2024-05-14.pdf
+export const DEFAULT_FILE_NAME_TEMPLATE = '{original}_{from}-{to}_{date}.{ext}';
+
+// Each user's own template is kept in their Clerk profile metadata
+export const getFileNameTemplate = (user) => user?.unsafeMetadata?.exportFileNameTemplate || DEFAULT_FILE_NAME_TEMPLATE;
+
+// Placeholders a naming template may use, shown as help in Account Settings
+export const FILE_NAME_TEMPLATE_TOKENS = [
+  { token: '{original}', description: 'Original file name without its extension' },
+  { token: '{from}', description: 'Source language code' },
+  { token: '{to}', description: 'Target language code' },
+  { token: '{date}', description: 'Export date (YYYY-MM-DD)' },
+  { token: '{ext}', description: 'Format extension, such as pdf or docx' }
+];
+
+// Names Windows refuses for files regardless of extension
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+// Characters Windows or macOS refuse in file names, besides control characters
+const FORBIDDEN_FILE_NAME_CHARACTERS = '<>:"/\\|?*';
+
+// Separators a placeholder without a value takes with it
+const TEMPLATE_SEPARATOR = /^[_\-\s]$/;
+
+// Leaves room under the 255 byte limit of common file systems for multi-byte characters
+const MAX_FILE_NAME_LENGTH = 120;
+
+// File name without its last extension
+export const getBaseName = (fileName) => (fileName || '').replace(/\.[^.]+$/, '');
+
+// Local date as YYYY-MM-DD
+const formatFileDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const isForbiddenFileNameCharacter = (character) => {
+  const code = character.charCodeAt(0);
+  return code <= 0x1f || code === 0x7f || FORBIDDEN_FILE_NAME_CHARACTERS.includes(character);
+};
+
+/**
+ * Makes a name safe to save on Windows and macOS: drops characters either
+ * system forbids (including ':' and control characters), leading dots that
+ * would hide the file, trailing dots and spaces Windows strips, and reserved
+ * device names. The extension is kept when the name has to be shortened.
+ */
+export const sanitizeFileName = (fileName, fallback = 'document') => {
+  const cleaned = Array.from((fileName || '').normalize('NFC'))
+    .map(character => (isForbiddenFileNameCharacter(character) ? '_' : character))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+/, '')
+    .replace(/[\s.]+$/, '');
+
+  const extensionMatch = cleaned.match(/\.[^.\s]{1,10}$/);
+  const extension = extensionMatch ? extensionMatch[0] : '';
+  let base = cleaned.slice(0, cleaned.length - extension.length).replace(/[\s.]+$/, '');
+
+  if (!base || WINDOWS_RESERVED_NAMES.test(base)) {
+    base = base ? `${base}_file` : fallback;
+  }
+  base = base.slice(0, MAX_FILE_NAME_LENGTH - extension.length).replace(/[\s.]+$/, '');
+
+  return `${base}${extension}`;
+};
+
+/**
+ * Fills a naming template for an export. Placeholders without a value are
+ * dropped along with one adjacent separator, and the extension is
+ * appended when the template does not end with it.
+ */
+export const buildExportFileName = (template, { originalName, from, to, ext, date = new Date() }) => {
+  const values = {
+    original: originalName ? sanitizeFileName(getBaseName(originalName), 'translated_document') : 'translated_document',
+    from: from || '',
+    to: to || '',
+    date: formatFileDate(date),
+    ext
+  };
+
+  // Literal text sits at even indexes, placeholders at odd ones
+  const parts = (template || DEFAULT_FILE_NAME_TEMPLATE).split(/(\{\w+\})/);
+  for (let i = 1; i < parts.length; i += 2) {
+    const key = parts[i].slice(1, -1);
+    parts[i] = key in values ? values[key] : '';
+    if (parts[i]) continue;
+
+    // Take the separator before the empty placeholder, or the one after it when nothing precedes
+    if (TEMPLATE_SEPARATOR.test(parts[i - 1].slice(-1))) {
+      parts[i - 1] = parts[i - 1].slice(0, -1);
+    } else if (TEMPLATE_SEPARATOR.test(parts[i + 1].charAt(0))) {
+      parts[i + 1] = parts[i + 1].slice(1);
+    }
+  }
+
+  const withoutExtension = parts.join('').replace(new RegExp(`\\.${ext}$`, 'i'), '');
+
+  return sanitizeFileName(`${withoutExtension || values.original}.${ext}`);
+};
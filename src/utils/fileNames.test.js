@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildExportFileName, sanitizeFileName } from './fileNames';
+
+const date = new Date(2024, 4, 14);
+
+describe('buildExportFileName', () => {
+  it('fills the default template', () => {
+    expect(buildExportFileName(null, { originalName: 'contract.pdf', from: 'de', to: 'en', ext: 'docx', date }))
+      .toBe('contract_de-en_2024-05-14.docx');
+  });
+
+  it('drops an empty placeholder with one neighbouring separator', () => {
+    expect(buildExportFileName(null, { originalName: 'contract.pdf', to: 'en', ext: 'pdf', date }))
+      .toBe('contract-en_2024-05-14.pdf');
+    expect(buildExportFileName('{from}_{original}', { originalName: 'contract.pdf', ext: 'pdf', date }))
+      .toBe('contract.pdf');
+  });
+
+  it('keeps separators the template repeats on purpose', () => {
+    expect(buildExportFileName('{original}__v2 - {to}', { originalName: 'contract.pdf', to: 'en', ext: 'pdf', date }))
+      .toBe('contract__v2 - en.pdf');
+  });
+
+  it('appends the extension unless the template ends with it', () => {
+    expect(buildExportFileName('{original}', { originalName: 'contract.pdf', ext: 'pdf', date })).toBe('contract.pdf');
+    expect(buildExportFileName('{original}.{ext}', { originalName: 'contract.pdf', ext: 'pdf', date })).toBe('contract.pdf');
+  });
+});
+
+describe('sanitizeFileName', () => {
+  it('replaces characters Windows and macOS forbid', () => {
+    expect(sanitizeFileName('a<b>c:d"e/f\\g|h?i*j\u0001k\u007f.pdf')).toBe('a_b_c_d_e_f_g_h_i_j_k_.pdf');
+  });
+
+  it('renames reserved device names and hidden files', () => {
+    expect(sanitizeFileName('CON.pdf')).toBe('CON_file.pdf');
+    expect(sanitizeFileName('..hidden.pdf')).toBe('hidden.pdf');
+  });
+});
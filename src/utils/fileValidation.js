@@ -0,0 +1,37 @@
+export const SUPPORTED_FILE_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'image/heif'
+]
+
+// Many browsers report an empty type for HEIC photos, so the extension counts too
+const HEIC_EXTENSION = /\.hei[cf]$/i
+
+// Value for the file inputs' accept attribute
+export const FILE_INPUT_ACCEPT = [...SUPPORTED_FILE_TYPES, '.heic', '.heif'].join(',')
+
+export const MAX_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+
+export const isHeicFile = (file) => {
+  return file.type === 'image/heic' || file.type === 'image/heif' || HEIC_EXTENSION.test(file.name)
+}
+
+export const isSupportedFileType = (file) => {
+  return SUPPORTED_FILE_TYPES.includes(file.type) || isHeicFile(file)
+}
+
+// Reason a file cannot be uploaded, or null when it is acceptable
+export const getFileValidationError = (file) => {
+  if (!isSupportedFileType(file)) {
+    return 'Unsupported file type. Please upload a PDF or image file.'
+  }
+
+  if (file.size > MAX_FILE_SIZE) {
+    return 'File too large. Maximum size is 20MB.'
+  }
+
+  return null
+}
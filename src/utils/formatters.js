@@ -0,0 +1,15 @@
+// Locale date/time string for an ISO date or timestamp, or a dash when missing
+export const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleString();
+};
+
+// File size in KB below one megabyte, MB above it
+export const formatFileSize = (bytes) => {
+  if (bytes == null) return '—';
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
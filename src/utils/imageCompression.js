@@ -0,0 +1,108 @@
+// Converts HEIC photos to JPEG and recompresses large images before upload
+import { MAX_FILE_SIZE, getFileValidationError, isHeicFile, isSupportedFileType } from './fileValidation';
+import { DEFAULT_IMAGE_ADJUSTMENTS, isImagePrepSupported, prepareImage } from './imagePrep';
+import { FULL_IMAGE_CORNERS } from './imageGeometry';
+
+// Smaller images are uploaded as they are
+const COMPRESSION_THRESHOLD = 4 * 1024 * 1024;
+const COMPRESSION_QUALITY = 0.85;
+
+export const canOptimizeImage = (file) => {
+  return isHeicFile(file) || (file.type.startsWith('image/') && isImagePrepSupported());
+};
+
+// heic2any is only loaded when a HEIC photo is actually picked
+export const convertHeicToJpeg = async (file) => {
+  try {
+    const { default: heic2any } = await import('heic2any');
+    const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+    // Image sequences (burst/live photos) come back as an array; the first frame is the photo
+    const blob = Array.isArray(result) ? result[0] : result;
+    const fileName = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    return new File([blob], fileName, { type: 'image/jpeg', lastModified: file.lastModified });
+  } catch (error) {
+    console.error(`Failed to convert ${file.name}:`, error);
+    throw new Error('This HEIC photo could not be converted to JPEG.');
+  }
+};
+
+/**
+ * Converts HEIC to JPEG and downscales/recompresses images above the threshold
+ * (the image preparation worker caps the longest side). Returns null when the
+ * file is best uploaded unchanged, otherwise the new file and the bytes saved.
+ */
+export const optimizeImage = async (file) => {
+  const wasConverted = isHeicFile(file);
+  let optimized = wasConverted ? await convertHeicToJpeg(file) : file;
+
+  if (optimized.size > COMPRESSION_THRESHOLD && isImagePrepSupported()) {
+    try {
+      const compressed = await prepareImage(optimized, {
+        ...DEFAULT_IMAGE_ADJUSTMENTS,
+        corners: FULL_IMAGE_CORNERS,
+        quality: COMPRESSION_QUALITY
+      });
+      if (compressed.size < optimized.size) {
+        optimized = compressed;
+      }
+    } catch (error) {
+      console.warn(`Could not compress ${file.name}, keeping it as is:`, error);
+    }
+  }
+
+  if (optimized === file) return null;
+
+  return {
+    file: optimized,
+    originalSize: file.size,
+    savedBytes: file.size - optimized.size,
+    wasConverted
+  };
+};
+
+/**
+ * Validates a picked file and converts or compresses it when it is a photo.
+ * Resolves with { file, optimization } ready for upload, or { error } when the
+ * file cannot be used. Photos over the size limit are accepted when compressing
+ * brings them under it.
+ */
+export const prepareFileForUpload = async (file) => {
+  const error = getFileValidationError(file);
+  const isOversizedImage = isSupportedFileType(file) && file.size > MAX_FILE_SIZE && canOptimizeImage(file);
+  if (error && !isOversizedImage) {
+    return { error };
+  }
+
+  if (!canOptimizeImage(file)) {
+    return { file, optimization: null };
+  }
+
+  try {
+    const optimization = await optimizeImage(file);
+    const optimizedFile = optimization ? optimization.file : file;
+    if (optimizedFile.size > MAX_FILE_SIZE) {
+      return { error: 'File too large. Maximum size is 20MB, even after compressing the image.' };
+    }
+    return { file: optimizedFile, optimization };
+  } catch (optimizeError) {
+    console.error('Image optimization failed:', optimizeError);
+    // Fall back to uploading the photo as picked when that is allowed
+    return error ? { error } : { file, optimization: null };
+  }
+};
+
+// Prepares several files one at a time (HEIC decoding is memory hungry) and
+// splits them into usable files and "name: reason" messages for the rest
+export const prepareFilesForUpload = async (files) => {
+  const accepted = [];
+  const rejected = [];
+  for (const file of files) {
+    const prepared = await prepareFileForUpload(file);
+    if (prepared.error) {
+      rejected.push(`${file.name}: ${prepared.error}`);
+    } else {
+      accepted.push(prepared.file);
+    }
+  }
+  return { accepted, rejected };
+};
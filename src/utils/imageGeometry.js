@@ -0,0 +1,104 @@
+// Geometry shared by the image preparation preview (main thread) and its worker,
+// so what the user sees is exactly what gets uploaded.
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Bounding box of a width x height image rotated by the given angle
+export const getRotatedSize = (width, height, degrees) => {
+  const angle = toRadians(degrees);
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  return {
+    width: Math.round(width * cos + height * sin),
+    height: Math.round(width * sin + height * cos)
+  };
+};
+
+/**
+ * Draws the source rotated around its center onto a canvas context sized to
+ * the rotated bounding box. Uncovered corners are filled white, which reads
+ * as paper rather than as a black frame in the translation.
+ */
+export const drawRotated = (ctx, source, sourceWidth, sourceHeight, degrees, scale = 1) => {
+  const { width, height } = getRotatedSize(sourceWidth * scale, sourceHeight * scale, degrees);
+  ctx.canvas.width = width;
+  ctx.canvas.height = height;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.save();
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(toRadians(degrees));
+  ctx.drawImage(source, (-sourceWidth * scale) / 2, (-sourceHeight * scale) / 2, sourceWidth * scale, sourceHeight * scale);
+  ctx.restore();
+};
+
+// Corners of the whole image in normalized coordinates: top-left, top-right, bottom-right, bottom-left
+export const FULL_IMAGE_CORNERS = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 }
+];
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Output size of a perspective-corrected quad: its longest horizontal and vertical edges
+export const getQuadOutputSize = (corners) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  return {
+    width: Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight))),
+    height: Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)))
+  };
+};
+
+// Solves the 8x8 system for the projective transform mapping `from` points onto `to` points
+export const getPerspectiveTransform = (from, to) => {
+  const matrix = [];
+  const values = [];
+
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    values.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    values.push(v);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [values[col], values[pivot]] = [values[pivot], values[col]];
+
+    for (let row = col + 1; row < 8; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < 8; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+      values[row] -= factor * values[col];
+    }
+  }
+
+  const coefficients = new Array(8);
+  for (let row = 7; row >= 0; row--) {
+    let sum = values[row];
+    for (let k = row + 1; k < 8; k++) {
+      sum -= matrix[row][k] * coefficients[k];
+    }
+    coefficients[row] = sum / matrix[row][row];
+  }
+
+  return [...coefficients, 1];
+};
+
+// Applies a transform from getPerspectiveTransform to a point
+export const projectPoint = (transform, x, y) => {
+  const [a, b, c, d, e, f, g, h, i] = transform;
+  const w = g * x + h * y + i;
+  return { x: (a * x + b * y + c) / w, y: (d * x + e * y + f) / w };
+};
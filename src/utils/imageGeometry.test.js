@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { getRotatedSize, getQuadOutputSize, getPerspectiveTransform, projectPoint } from './imageGeometry';
+
+const UNIT_SQUARE = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, index) => expect(value).toBeCloseTo(expected[index], 9));
+};
+
+describe('getPerspectiveTransform', () => {
+  it.each([
+    ['identity', UNIT_SQUARE, [1, 0, 0, 0, 1, 0, 0, 0, 1]],
+    ['scale', [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }, { x: 0, y: 100 }], [200, 0, 0, 0, 100, 0, 0, 0, 1]],
+    ['translation', [{ x: 10, y: 20 }, { x: 11, y: 20 }, { x: 11, y: 21 }, { x: 10, y: 21 }], [1, 0, 10, 0, 1, 20, 0, 0, 1]],
+    ['shear', [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1.5, y: 1 }, { x: 0.5, y: 1 }], [1, 0.5, 0, 0, 1, 0, 0, 0, 1]],
+    ['projective', [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 1 }], [2 / 3, 0, 0, 0, 2 / 3, 0, -1 / 3, -1 / 3, 1]]
+  ])('maps the unit square onto corners for %s', (name, corners, expected) => {
+    expectCloseTo(getPerspectiveTransform(UNIT_SQUARE, corners), expected);
+  });
+
+  it('maps each output corner onto the selected photo corner', () => {
+    // A page photographed at an angle, as selected in the editor (top-left, top-right, bottom-right, bottom-left)
+    const corners = [{ x: 112, y: 40 }, { x: 930, y: 95 }, { x: 880, y: 1210 }, { x: 60, y: 1150 }];
+    const { width, height } = getQuadOutputSize(corners);
+    const output = [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }];
+    const transform = getPerspectiveTransform(output, corners);
+
+    output.forEach((point, index) => {
+      const projected = projectPoint(transform, point.x, point.y);
+      expect(projected.x).toBeCloseTo(corners[index].x, 6);
+      expect(projected.y).toBeCloseTo(corners[index].y, 6);
+    });
+  });
+
+  it('keeps straight lines straight', () => {
+    const transform = getPerspectiveTransform(UNIT_SQUARE, [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 1 }]);
+    // The diagonal from (0, 0) to (1, 1) lands on the line from (0, 0) to (2, 2)
+    const middle = projectPoint(transform, 0.5, 0.5);
+    expect(middle.x).toBeCloseTo(middle.y, 9);
+    expect(middle.x).toBeCloseTo(0.5, 9);
+  });
+});
+
+describe('getQuadOutputSize', () => {
+  it.each([
+    ['rectangle', [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 200 }, { x: 0, y: 200 }], { width: 300, height: 200 }],
+    ['trapezoid', [{ x: 50, y: 0 }, { x: 250, y: 0 }, { x: 300, y: 100 }, { x: 0, y: 100 }], { width: 300, height: 112 }],
+    ['tilted square', [{ x: 0, y: 30 }, { x: 40, y: 0 }, { x: 70, y: 40 }, { x: 30, y: 70 }], { width: 50, height: 50 }]
+  ])('uses the longest edges of a %s', (name, corners, expected) => {
+    expect(getQuadOutputSize(corners)).toEqual(expected);
+  });
+});
+
+describe('getRotatedSize', () => {
+  it.each([
+    [0, { width: 400, height: 300 }],
+    [90, { width: 300, height: 400 }],
+    [180, { width: 400, height: 300 }],
+    [-90, { width: 300, height: 400 }],
+    [45, { width: 495, height: 495 }]
+  ])('fits a 400x300 image rotated by %i degrees', (degrees, expected) => {
+    expect(getRotatedSize(400, 300, degrees)).toEqual(expected);
+  });
+});
@@ -0,0 +1,63 @@
+// Runs the image preparation pipeline (rotate, perspective crop, tone adjustments) in a Web Worker
+
+export const DEFAULT_IMAGE_ADJUSTMENTS = {
+  rotation: 0,
+  deskew: 0,
+  brightness: 1,
+  contrast: 1,
+  grayscale: false
+};
+
+export const isImagePrepSupported = () => {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function';
+};
+
+// Decodes an image file for previewing or processing; rejects for formats the browser can't read
+export const decodeImage = async (file) => {
+  try {
+    return await createImageBitmap(file);
+  } catch (error) {
+    console.error(`Failed to decode ${file.name}:`, error);
+    throw new Error('This image format cannot be edited in the browser.');
+  }
+};
+
+/**
+ * Produces the cleaned-up image as a new JPEG File.
+ * corners are normalized to the rotated image: top-left, top-right, bottom-right, bottom-left.
+ */
+export const prepareImage = async (file, { rotation, deskew, corners, brightness, contrast, grayscale, quality = 0.92 }) => {
+  const bitmap = await decodeImage(file);
+  const worker = new Worker(new URL('../workers/imagePrep.worker.js', import.meta.url), { type: 'module' });
+
+  try {
+    const blob = await new Promise((resolve, reject) => {
+      worker.onmessage = (event) => {
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.blob);
+        }
+      };
+      worker.onerror = (event) => reject(new Error(event.message || 'Image preparation failed'));
+
+      worker.postMessage({
+        bitmap,
+        rotation: rotation + deskew,
+        corners,
+        brightness,
+        contrast,
+        grayscale,
+        outputType: 'image/jpeg',
+        quality
+      }, [bitmap]);
+    });
+
+    const fileName = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    return new File([blob], fileName, { type: 'image/jpeg', lastModified: Date.now() });
+  } finally {
+    worker.terminate();
+  }
+};
@@ -0,0 +1,29 @@
+import { isPdfFile, loadPdfDocument } from './pdf';
+
+// Counts are cached per File object so re-renders don't reopen the PDF
+const pageCountCache = new WeakMap();
+
+/**
+ * Number of pages the backend will bill for a file: the page count of a PDF,
+ * one page for an image. Resolves to null when a PDF cannot be read.
+ */
+export const countDocumentPages = (file) => {
+  if (!isPdfFile(file)) {
+    return Promise.resolve(1);
+  }
+
+  if (!pageCountCache.has(file)) {
+    const countPromise = loadPdfDocument(file)
+      .then(pdf => {
+        const pageCount = pdf.numPages;
+        pdf.destroy();
+        return pageCount;
+      })
+      .catch(error => {
+        console.error(`Failed to count pages of ${file.name}:`, error);
+        return null;
+      });
+    pageCountCache.set(file, countPromise);
+  }
+  return pageCountCache.get(file);
+};
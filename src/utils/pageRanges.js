@@ -0,0 +1,52 @@
+/**
+ * Parses a page selection such as "1-3, 7" into sorted, unique 1-based page
+ * numbers. Returns { pages } on success or { error } with a message to show.
+ */
+export const parsePageRanges = (input, pageCount) => {
+  const parts = input.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return { error: 'Enter the pages to translate, for example "1-3, 7".' };
+  }
+
+  const pages = new Set();
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      return { error: `"${part}" is not a page number or range.` };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end < 1 || start > pageCount || end > pageCount) {
+      return { error: `Pages must be between 1 and ${pageCount}.` };
+    }
+    if (start > end) {
+      return { error: `"${part}" is a backwards range.` };
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.add(page);
+    }
+  }
+
+  return { pages: [...pages].sort((a, b) => a - b) };
+};
+
+// Compact text form of page numbers: [1, 2, 3, 7] -> "1-3, 7"
+export const formatPageRanges = (pages) => {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b);
+  const ranges = [];
+
+  sorted.forEach(page => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last.end + 1) {
+      last.end = page;
+    } else {
+      ranges.push({ start: page, end: page });
+    }
+  });
+
+  return ranges
+    .map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+};
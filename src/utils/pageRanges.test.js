@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parsePageRanges, formatPageRanges } from './pageRanges';
+
+describe('parsePageRanges', () => {
+  it('parses single pages and ranges', () => {
+    expect(parsePageRanges('3', 10)).toEqual({ pages: [3] });
+    expect(parsePageRanges('1-3, 7', 10)).toEqual({ pages: [1, 2, 3, 7] });
+    expect(parsePageRanges(' 2 - 4 ,9 ', 10)).toEqual({ pages: [2, 3, 4, 9] });
+  });
+
+  it('sorts pages and drops duplicates and overlaps', () => {
+    expect(parsePageRanges('7, 2, 2, 1-3, 3-4', 10)).toEqual({ pages: [1, 2, 3, 4, 7] });
+  });
+
+  it('accepts a range of one page and the last page', () => {
+    expect(parsePageRanges('5-5, 10', 10)).toEqual({ pages: [5, 10] });
+  });
+
+  it('ignores empty entries between commas', () => {
+    expect(parsePageRanges('1,,3,', 10)).toEqual({ pages: [1, 3] });
+  });
+
+  it('rejects reversed ranges', () => {
+    expect(parsePageRanges('5-3', 10)).toEqual({ error: '"5-3" is a backwards range.' });
+  });
+
+  it.each(['0', '11', '2-11', '0-2'])('rejects the out-of-bounds selection %j', (input) => {
+    expect(parsePageRanges(input, 10)).toEqual({ error: 'Pages must be between 1 and 10.' });
+  });
+
+  it.each(['abc', '1-', '-3', '1-2-3', '2.5', '1 3', '-1', '+2', '1–3'])('rejects the malformed entry %j', (input) => {
+    expect(parsePageRanges(input, 10)).toEqual({ error: `"${input}" is not a page number or range.` });
+  });
+
+  it('reports the first malformed entry of a list', () => {
+    expect(parsePageRanges('1, x, 3-', 10)).toEqual({ error: '"x" is not a page number or range.' });
+  });
+
+  it('asks for input when there is none', () => {
+    expect(parsePageRanges('', 10).error).toMatch(/Enter the pages/);
+    expect(parsePageRanges(' , ', 10).error).toMatch(/Enter the pages/);
+  });
+});
+
+describe('formatPageRanges', () => {
+  it('joins consecutive pages into ranges', () => {
+    expect(formatPageRanges([1, 2, 3, 7])).toBe('1-3, 7');
+    expect(formatPageRanges([4])).toBe('4');
+    expect(formatPageRanges([])).toBe('');
+  });
+
+  it('sorts and deduplicates its input', () => {
+    expect(formatPageRanges([9, 1, 2, 2, 8])).toBe('1-2, 8-9');
+  });
+
+  it('round-trips with parsePageRanges', () => {
+    const { pages } = parsePageRanges('7, 1-3, 10', 10);
+    expect(formatPageRanges(pages)).toBe('1-3, 7, 10');
+  });
+});
@@ -0,0 +1,123 @@
+import { optimizeImage } from './imageCompression';
+
+// pdf.js is large, so it is only loaded the first time a PDF has to be read
+let pdfjsPromise = null;
+
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+export const isPdfFile = (file) => {
+  return file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+};
+
+// Opens a PDF File/Blob; call destroy() on the result when done with it
+export const loadPdfDocument = async (file) => {
+  const pdfjs = await loadPdfjs();
+  const data = await file.arrayBuffer();
+  return pdfjs.getDocument({ data }).promise;
+};
+
+/**
+ * Draws one page (1-based) of an open PDF onto a canvas, scaled to the given
+ * CSS width. Renders at device pixel ratio so text stays sharp.
+ */
+export const renderPdfPage = async (pdf, pageNumber, canvas, width) => {
+  const page = await pdf.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const scale = width / baseViewport.width;
+  const outputScale = window.devicePixelRatio || 1;
+  const viewport = page.getViewport({ scale: scale * outputScale });
+
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+  canvas.style.width = `${Math.floor(viewport.width / outputScale)}px`;
+  canvas.style.height = `${Math.floor(viewport.height / outputScale)}px`;
+
+  await page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport
+  }).promise;
+
+  page.cleanup();
+};
+
+/**
+ * Builds a new PDF File containing only the given 1-based pages, in order.
+ * Used to upload (and pay for) just the pages the user picked.
+ */
+export const extractPdfPages = async (file, pageNumbers) => {
+  const { PDFDocument } = await import('pdf-lib');
+  const source = await PDFDocument.load(await file.arrayBuffer(), { ignoreEncryption: true });
+  const trimmed = await PDFDocument.create();
+
+  const copiedPages = await trimmed.copyPages(source, pageNumbers.map(pageNumber => pageNumber - 1));
+  copiedPages.forEach(page => trimmed.addPage(page));
+
+  const bytes = await trimmed.save();
+  return new File([bytes], file.name, { type: 'application/pdf', lastModified: file.lastModified });
+};
+
+// A4 in PDF points
+const A4_SHORT_SIDE = 595.28;
+const A4_LONG_SIDE = 841.89;
+
+// pdf-lib embeds only JPEG and PNG, so other formats are re-encoded through a canvas.
+// HEIC photos are converted and large photos shrunk first to keep the PDF uploadable.
+const getEmbeddableImage = async (photo) => {
+  const optimization = await optimizeImage(photo);
+  const file = optimization ? optimization.file : photo;
+
+  if (file.type === 'image/jpeg' || file.type === 'image/png') {
+    return { bytes: await file.arrayBuffer(), type: file.type };
+  }
+
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+  return { bytes: await blob.arrayBuffer(), type: 'image/jpeg' };
+};
+
+/**
+ * Assembles images into one PDF, one image per A4 page in the given order.
+ * Each page takes the orientation of its image and the image is fitted inside it.
+ */
+export const imagesToPdf = async (files, fileName) => {
+  const { PDFDocument } = await import('pdf-lib');
+  const pdf = await PDFDocument.create();
+
+  for (const file of files) {
+    const { bytes, type } = await getEmbeddableImage(file);
+    const image = type === 'image/png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+
+    const isLandscape = image.width > image.height;
+    const pageWidth = isLandscape ? A4_LONG_SIDE : A4_SHORT_SIDE;
+    const pageHeight = isLandscape ? A4_SHORT_SIDE : A4_LONG_SIDE;
+    const { width, height } = image.scaleToFit(pageWidth, pageHeight);
+
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    page.drawImage(image, {
+      x: (pageWidth - width) / 2,
+      y: (pageHeight - height) / 2,
+      width,
+      height
+    });
+  }
+
+  const bytes = await pdf.save();
+  return new File([bytes], fileName, { type: 'application/pdf', lastModified: Date.now() });
+};
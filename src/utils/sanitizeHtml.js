@@ -0,0 +1,133 @@
+// Allowlist-based sanitizer for translated HTML coming back from the server.
+// Keeps the document structure "Preserve Formatting" relies on (headings,
+// lists, tables, typographic inline styles) and drops everything that can run
+// code or restyle the app around it.
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'center', 'cite',
+  'code', 'col', 'colgroup', 'dd', 'del', 'div', 'dl', 'dt', 'em', 'figcaption',
+  'figure', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins',
+  'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strike',
+  'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr',
+  'u', 'ul'
+]);
+
+// Elements removed together with their content rather than unwrapped
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'template', 'svg', 'math', 'link', 'meta', 'base', 'form', 'input',
+  'button', 'select', 'textarea', 'option', 'title', 'head'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'align', 'alt', 'border', 'cellpadding', 'cellspacing', 'color',
+  'colspan', 'data-page', 'dir', 'face', 'height', 'href', 'lang', 'rowspan',
+  'scope', 'size', 'span', 'src', 'start', 'style', 'title', 'type', 'valign', 'width'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+// Absolute http(s)/mailto/tel links, fragments, queries, and relative paths without a scheme
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|tel:|#|\?|\/(?!\/)|[^:/?#]+(?:[/?#]|$))/i;
+const SAFE_IMAGE_DATA_PATTERN = /^data:image\/(?:png|jpe?g|gif|webp|bmp);base64,[a-z0-9+/=\s]+$/i;
+
+// Only text styling survives; layout properties such as position or z-index
+// would let a translation cover the app's own interface
+const ALLOWED_STYLE_PROPERTIES = new Set([
+  'background-color', 'color', 'direction', 'font-family', 'font-size',
+  'font-style', 'font-variant', 'font-weight', 'letter-spacing', 'line-height',
+  'text-align', 'text-decoration', 'text-indent', 'text-transform',
+  'unicode-bidi', 'vertical-align', 'white-space', 'word-spacing'
+]);
+
+// CSS constructs that can load resources or execute script in older engines
+const UNSAFE_STYLE_PATTERN = /expression\s*\(|url\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import/i;
+
+// Whitespace and control characters, which browsers ignore when parsing URLs
+const isIgnoredUrlCharacter = (char) => {
+  const code = char.charCodeAt(0);
+  return code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+};
+
+const normalizeUrl = (value) => Array.from(value).filter(char => !isIgnoredUrlCharacter(char)).join('');
+
+const isSafeUrl = (value, attributeName) => {
+  const url = normalizeUrl(value);
+  if (attributeName === 'src' && SAFE_IMAGE_DATA_PATTERN.test(url)) return true;
+  return SAFE_URL_PATTERN.test(url);
+};
+
+// Keeps only typographic declarations that cannot pull in external content
+const sanitizeStyle = (value) => {
+  return value
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(declaration => {
+      const separatorIndex = declaration.indexOf(':');
+      if (separatorIndex === -1) return false;
+      const property = declaration.slice(0, separatorIndex).trim().toLowerCase();
+      return ALLOWED_STYLE_PROPERTIES.has(property) && !UNSAFE_STYLE_PATTERN.test(normalizeUrl(declaration));
+    })
+    .join('; ');
+};
+
+const sanitizeElement = (element) => {
+  // Iterate over a copy because children are removed or replaced in place
+  Array.from(element.childNodes).forEach(node => {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      node.remove();
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tagName = node.nodeName.toLowerCase();
+
+    if (DROPPED_TAGS.has(tagName)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeElement(node);
+
+    if (!ALLOWED_TAGS.has(tagName)) {
+      // Unknown wrappers (html, body, section, ...) keep their text content
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    Array.from(node.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+
+      if (!ALLOWED_ATTRIBUTES.has(name)) {
+        node.removeAttribute(attribute.name);
+      } else if (URL_ATTRIBUTES.has(name) && !isSafeUrl(attribute.value, name)) {
+        node.removeAttribute(attribute.name);
+      } else if (name === 'style') {
+        const style = sanitizeStyle(attribute.value);
+        if (style) {
+          node.setAttribute('style', style);
+        } else {
+          node.removeAttribute('style');
+        }
+      }
+    });
+
+    if (tagName === 'a' && node.hasAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+};
+
+/**
+ * Returns a copy of the HTML string with only allowlisted tags, attributes,
+ * URLs and style declarations left in it.
+ */
+export const sanitizeHtml = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  // DOMParser documents are inert: scripts don't run and images don't load
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  sanitizeElement(doc.body);
+  return doc.body.innerHTML;
+};
@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml } from './sanitizeHtml';
+
+// Parses sanitized output so assertions look at the resulting DOM, not at string formatting
+const parse = (html) => new DOMParser().parseFromString(`<body>${sanitizeHtml(html)}</body>`, 'text/html').body;
+
+describe('sanitizeHtml', () => {
+  it('returns an empty string for missing or non-string input', () => {
+    expect(sanitizeHtml(null)).toBe('');
+    expect(sanitizeHtml(undefined)).toBe('');
+    expect(sanitizeHtml(42)).toBe('');
+  });
+
+  it('keeps document structure', () => {
+    const html = '<h1>Title</h1><p>Some <strong>bold</strong> text</p><ul><li>One</li></ul><table><tbody><tr><td colspan="2">Cell</td></tr></tbody></table>';
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  describe('script execution', () => {
+    it('drops script elements with their content', () => {
+      const body = parse('<p>Hello</p><script>alert(1)</script><SCRIPT src="https://evil.example/x.js"></SCRIPT>');
+      expect(body.querySelector('script')).toBeNull();
+      expect(body.textContent).toBe('Hello');
+    });
+
+    it('removes inline event handlers', () => {
+      const body = parse('<img src="a.png" onerror="alert(1)"><p onclick="alert(1)" ONMOUSEOVER="alert(1)">Text</p><body onload="alert(1)">');
+      body.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+          expect(attribute.name.startsWith('on')).toBe(false);
+        });
+      });
+      expect(body.querySelector('p').textContent).toBe('Text');
+    });
+  });
+
+  describe('URLs', () => {
+    it.each([
+      'javascript:alert(1)',
+      'JaVaScRiPt:alert(1)',
+      ' javascript:alert(1)',
+      'java\tscript:alert(1)',
+      'java\nscript:alert(1)',
+      '\u0001javascript:alert(1)',
+      'vbscript:msgbox(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='
+    ])('removes the link target %j', (href) => {
+      const link = document.createElement('a');
+      link.setAttribute('href', href);
+      link.textContent = 'link';
+      const body = parse(link.outerHTML);
+      expect(body.querySelector('a').hasAttribute('href')).toBe(false);
+      expect(body.textContent).toBe('link');
+    });
+
+    it.each([
+      '&#106;avascript:alert(1)',
+      '&#x6A;avascript:alert(1)',
+      'javascript&colon;alert(1)',
+      'jav&#x09;ascript:alert(1)',
+      '&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)'
+    ])('removes the entity-encoded scheme %s', (href) => {
+      const body = parse(`<a href="${href}">link</a>`);
+      expect(body.querySelector('a').hasAttribute('href')).toBe(false);
+    });
+
+    it('keeps safe links and opens them in a new tab', () => {
+      const link = parse('<a href="https://example.com/page?q=1">link</a>').querySelector('a');
+      expect(link.getAttribute('href')).toBe('https://example.com/page?q=1');
+      expect(link.getAttribute('target')).toBe('_blank');
+      expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+    });
+
+    it('keeps relative links, fragments, mailto and tel', () => {
+      const body = parse('<a href="/docs">a</a><a href="#top">b</a><a href="mailto:a@b.c">c</a><a href="tel:+123">d</a><a href="page.html">e</a>');
+      expect(Array.from(body.querySelectorAll('a')).map(link => link.getAttribute('href')))
+        .toEqual(['/docs', '#top', 'mailto:a@b.c', 'tel:+123', 'page.html']);
+    });
+
+    it('removes protocol-relative links', () => {
+      const body = parse('<a href="//evil.example">link</a>');
+      expect(body.querySelector('a').hasAttribute('href')).toBe(false);
+    });
+
+    it('allows data URLs only for raster images', () => {
+      const body = parse(
+        '<img src="data:image/png;base64,iVBORw0KGgo=">' +
+        '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">' +
+        '<a href="data:image/png;base64,iVBORw0KGgo=">link</a>'
+      );
+      const [png, svg] = body.querySelectorAll('img');
+      expect(png.getAttribute('src')).toBe('data:image/png;base64,iVBORw0KGgo=');
+      expect(svg.hasAttribute('src')).toBe(false);
+      expect(body.querySelector('a').hasAttribute('href')).toBe(false);
+    });
+  });
+
+  describe('embedded content', () => {
+    it.each([
+      ['svg', '<svg onload="alert(1)"><script>alert(1)</script><a href="javascript:alert(1)">x</a></svg>'],
+      ['math', '<math><mtext><a href="javascript:alert(1)">x</a></mtext></math>'],
+      ['iframe', '<iframe src="https://evil.example" srcdoc="<script>alert(1)</script>"></iframe>'],
+      ['object', '<object data="evil.swf"><param name="x" value="y"></object>'],
+      ['embed', '<embed src="evil.swf">'],
+      ['form', '<form action="https://evil.example"><input name="password"><button>Send</button></form>'],
+      ['style', '<style>body { display: none }</style>'],
+      ['link', '<link rel="stylesheet" href="https://evil.example/x.css">'],
+      ['meta', '<meta http-equiv="refresh" content="0;url=https://evil.example">'],
+      ['base', '<base href="https://evil.example/">']
+    ])('drops <%s> with its content', (tagName, html) => {
+      const body = parse(`<p>Safe</p>${html}`);
+      expect(body.querySelector(tagName)).toBeNull();
+      expect(body.textContent).toBe('Safe');
+    });
+
+    it('removes comments, including conditional comments', () => {
+      expect(sanitizeHtml('<p>a<!-- hidden --></p><!--[if IE]><script>alert(1)</script><![endif]-->')).toBe('<p>a</p>');
+    });
+  });
+
+  describe('nested and malformed markup', () => {
+    it('does not let unknown wrappers smuggle in dropped elements', () => {
+      const body = parse('<section><article><div><custom-tag><script>alert(1)</script>Text</custom-tag></div></article></section>');
+      expect(body.querySelector('script')).toBeNull();
+      expect(body.querySelector('section, article, custom-tag')).toBeNull();
+      expect(body.textContent).toBe('Text');
+    });
+
+    it('handles unclosed and misnested tags', () => {
+      const body = parse('<p><b>bold <i>both</b> italic<img src=x onerror=alert(1)//');
+      expect(body.querySelector('[onerror]')).toBeNull();
+      expect(body.querySelector('b').textContent).toContain('bold');
+    });
+
+    it('treats markup inside attribute values as text', () => {
+      const body = parse('<img alt="&quot;><script>alert(1)</script>" src="a.png">');
+      expect(body.querySelector('script')).toBeNull();
+      expect(body.querySelector('img').getAttribute('alt')).toBe('"><script>alert(1)</script>');
+    });
+
+    it('does not rebuild scripts from split tags', () => {
+      const body = parse('<scr<script>ipt>alert(1)</script>');
+      expect(body.querySelector('script')).toBeNull();
+    });
+
+    it('drops markup nested in noscript and template', () => {
+      const body = parse('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></p></noscript><template><img src=x onerror=alert(1)></template>');
+      expect(body.querySelector('[onerror]')).toBeNull();
+      expect(body.querySelector('template, noscript')).toBeNull();
+    });
+  });
+
+  describe('attributes and styles', () => {
+    it('removes class attributes', () => {
+      const body = parse('<div class="fixed inset-0 z-50 bg-white">Overlay</div>');
+      expect(body.querySelector('div').hasAttribute('class')).toBe(false);
+    });
+
+    it('keeps typographic styles and drops layout styles', () => {
+      const body = parse('<p style="position: fixed; top: 0; z-index: 9999; width: 100vw; font-weight: bold; color: #333; text-align: center">Text</p>');
+      expect(body.querySelector('p').getAttribute('style')).toBe('font-weight: bold; color: #333; text-align: center');
+    });
+
+    it('removes the style attribute when nothing is left', () => {
+      const body = parse('<p style="position:fixed;inset:0">Text</p>');
+      expect(body.querySelector('p').hasAttribute('style')).toBe(false);
+    });
+
+    it('drops style values that load resources or run script', () => {
+      const body = parse('<p style="background-color: url(https://evil.example/x.png); color: expression(alert(1)); font-family: Arial">Text</p>');
+      expect(body.querySelector('p').getAttribute('style')).toBe('font-family: Arial');
+    });
+
+    it('drops entity-encoded url() in styles', () => {
+      const body = parse('<p style="background-color: u&#114;l(https://evil.example/x.png)">Text</p>');
+      expect(body.querySelector('p').hasAttribute('style')).toBe(false);
+    });
+
+    it('removes attributes outside the allowlist', () => {
+      const body = parse('<p id="app" data-x="1" srcset="x.png" formaction="https://evil.example" data-page="2" dir="rtl">Text</p>');
+      const paragraph = body.querySelector('p');
+      expect(Array.from(paragraph.attributes).map(attribute => attribute.name).sort()).toEqual(['data-page', 'dir']);
+    });
+  });
+});
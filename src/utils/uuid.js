@@ -0,0 +1,26 @@
+// crypto.randomUUID only exists on secure (HTTPS or localhost) pages
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  if (globalThis.crypto?.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+};
+
+/**
+ * Random version 4 UUID. Uses crypto.randomUUID where available, otherwise
+ * builds one from crypto.getRandomValues, or Math.random as a last resort.
+ */
+export const createUuid = () => {
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+
+  const bytes = randomBytes(16);
+  // Version 4 and the RFC 4122 variant
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
@@ -0,0 +1,26 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createUuid } from './uuid';
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('createUuid', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('uses crypto.randomUUID when available', () => {
+    expect(createUuid()).toMatch(UUID_V4);
+  });
+
+  it('builds a v4 UUID from getRandomValues on insecure pages', () => {
+    vi.stubGlobal('crypto', { getRandomValues: (bytes) => bytes.fill(0xff) });
+    expect(createUuid()).toBe('ffffffff-ffff-4fff-bfff-ffffffffffff');
+  });
+
+  it('falls back to Math.random without Web Crypto', () => {
+    vi.stubGlobal('crypto', undefined);
+    const first = createUuid();
+    expect(first).toMatch(UUID_V4);
+    expect(createUuid()).not.toBe(first);
+  });
+});
@@ -0,0 +1,104 @@
+import { drawRotated, getQuadOutputSize, getPerspectiveTransform, projectPoint } from '../utils/imageGeometry';
+
+// Larger photos are scaled down first; OCR gains nothing beyond this and memory use grows fast
+const MAX_DIMENSION = 3000;
+
+const isFullImage = (corners) => corners.every(corner =>
+  (corner.x === 0 || corner.x === 1) && (corner.y === 0 || corner.y === 1)
+);
+
+// Maps the quad inside the source onto an upright rectangle with bilinear sampling
+const warpPerspective = (source, corners) => {
+  const { width, height } = getQuadOutputSize(corners);
+  const output = new ImageData(Math.max(1, width), Math.max(1, height));
+  const transform = getPerspectiveTransform(
+    [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }],
+    corners
+  );
+
+  const { data: src, width: srcWidth, height: srcHeight } = source;
+  const dst = output.data;
+
+  for (let y = 0; y < output.height; y++) {
+    for (let x = 0; x < output.width; x++) {
+      const { x: sx, y: sy } = projectPoint(transform, x, y);
+      const offset = (y * output.width + x) * 4;
+
+      if (sx < 0 || sy < 0 || sx > srcWidth - 1 || sy > srcHeight - 1) {
+        dst[offset] = dst[offset + 1] = dst[offset + 2] = dst[offset + 3] = 255;
+        continue;
+      }
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, srcWidth - 1);
+      const y1 = Math.min(y0 + 1, srcHeight - 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      for (let channel = 0; channel < 4; channel++) {
+        const topLeft = src[(y0 * srcWidth + x0) * 4 + channel];
+        const topRight = src[(y0 * srcWidth + x1) * 4 + channel];
+        const bottomLeft = src[(y1 * srcWidth + x0) * 4 + channel];
+        const bottomRight = src[(y1 * srcWidth + x1) * 4 + channel];
+        const top = topLeft + (topRight - topLeft) * fx;
+        const bottom = bottomLeft + (bottomRight - bottomLeft) * fx;
+        dst[offset + channel] = top + (bottom - top) * fy;
+      }
+    }
+  }
+
+  return output;
+};
+
+// Same math as the CSS brightness()/contrast()/grayscale() filters used by the preview
+const adjustTones = (imageData, { brightness, contrast, grayscale }) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i] * brightness;
+    let g = data[i + 1] * brightness;
+    let b = data[i + 2] * brightness;
+
+    r = (r - 128) * contrast + 128;
+    g = (g - 128) * contrast + 128;
+    b = (b - 128) * contrast + 128;
+
+    if (grayscale) {
+      r = g = b = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    // Uint8ClampedArray clamps to 0-255 on assignment
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+};
+
+self.onmessage = async (event) => {
+  const { bitmap, rotation, corners, brightness, contrast, grayscale, outputType, quality } = event.data;
+
+  try {
+    const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const rotatedContext = new OffscreenCanvas(1, 1).getContext('2d');
+    drawRotated(rotatedContext, bitmap, bitmap.width, bitmap.height, rotation, scale);
+    bitmap.close();
+
+    const { width, height } = rotatedContext.canvas;
+    const rotated = rotatedContext.getImageData(0, 0, width, height);
+    const output = isFullImage(corners)
+      ? rotated
+      : warpPerspective(rotated, corners.map(corner => ({ x: corner.x * (width - 1), y: corner.y * (height - 1) })));
+
+    if (brightness !== 1 || contrast !== 1 || grayscale) {
+      adjustTones(output, { brightness, contrast, grayscale });
+    }
+
+    const outputCanvas = new OffscreenCanvas(output.width, output.height);
+    outputCanvas.getContext('2d').putImageData(output, 0, 0);
+    const blob = await outputCanvas.convertToBlob({ type: outputType, quality });
+
+    self.postMessage({ blob });
+  } catch (error) {
+    self.postMessage({ error: error.message || 'Image preparation failed' });
+  }
+};
@@ -29,5 +29,9 @@ export default defineConfig({
         manualChunks: undefined,
       },
     },
+  },
+  // Unit tests run against a DOM implementation because the sanitizer and exporters use DOMParser
+  test: {
+    environment: 'jsdom',
   }
 })
\ No newline at end of file